@@ -0,0 +1,34 @@
+/**
+ * Discussion.highlight: marine hazards and zone names are marked before the
+ * general emphasis, so multi-word phrases survive it.
+ */
+const Discussion = require('../src/js/widgets/discussion');
+
+describe('highlight', () => {
+    const discussion = Object.create(Discussion.prototype);
+    discussion.places = new Map([['lynn canal', { ids: ['PKZ012'], names: ['Northern Lynn Canal'] }]]);
+
+    test('marks multi-word hazards whose words are also emphasized', () => {
+        const html = discussion.highlight('<p>Gap winds and small craft seas through TONIGHT.</p>');
+        expect(html).toContain('<mark class="afd-hazard hazard-advisory">Gap winds</mark>');
+        expect(html).toContain('<mark class="afd-hazard hazard-advisory">small craft seas</mark>');
+        expect(html).toContain('<strong>TONIGHT</strong>');
+    });
+
+    test('ranks hazards by the alert palette', () => {
+        expect(discussion.highlight('<p>Storm force winds, then gales.</p>'))
+            .toBe('<p><mark class="afd-hazard hazard-storm">Storm force winds</mark>, then <mark class="afd-hazard hazard-warning">gales</mark>.</p>');
+    });
+
+    test('links zone names and leaves their text unemphasized', () => {
+        const html = discussion.highlight('<p>SE wind 25 kt in Lynn Canal.</p>');
+        expect(html).toContain('<a href="#forecast-summary" class="afd-zone-link" data-zone="PKZ012" '
+            + 'title="Open the marine forecast: Northern Lynn Canal">Lynn Canal</a>');
+        expect(html).toContain('<span class="wind-direction">SE</span> <em>wind</em> <span class="weather-measurement">25 kt</span>');
+    });
+
+    test('never touches tags or text already inside a mark', () => {
+        expect(discussion.highlight('<p class="s">Small craft winds</p>'))
+            .toBe('<p class="s"><mark class="afd-hazard hazard-advisory">Small craft winds</mark></p>');
+    });
+});
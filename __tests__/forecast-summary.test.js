@@ -0,0 +1,134 @@
+/**
+ * ForecastSummary against one CWF (fixtures/cwf-ajk.txt): the region overview
+ * table, its columns lined up by clock time through RouteForecast, and the
+ * zone lists read from a product for regions zones.json leaves empty.
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.MarineText = require('../src/js/utils/marine-text');
+global.RouteForecast = require('../src/js/widgets/route-forecast');
+const ForecastSummary = require('../src/js/widgets/forecast-summary');
+
+const CWF = fs.readFileSync(path.join(__dirname, 'fixtures/cwf-ajk.txt'), 'utf8');
+
+// The localStorage-backed cache, minus expiry
+function memoryCache() {
+    const store = new Map();
+    return {
+        get: key => (store.has(key) ? JSON.parse(store.get(key)) : null),
+        set: (key, data) => store.set(key, JSON.stringify(data))
+    };
+}
+
+describe('renderRegionOverview', () => {
+    const summary = Object.create(ForecastSummary.prototype);
+    summary.overviewContainer = { innerHTML: '' };
+    const region = {
+        name: 'Southeast Alaska',
+        zones: { PKZ012: 'Northern Lynn Canal', PKZ031: 'Stephens Passage', PKZ034: 'Not in the product' }
+    };
+    summary.renderRegionOverview(region, CWF);
+    const html = summary.overviewContainer.innerHTML;
+    const head = html.match(/<thead>([\s\S]*?)<\/thead>/)[1];
+    const rows = html.match(/<tr data-zone="[^"]+"[\s\S]*?<\/tr>/g);
+
+    test('renders a column per half-day of the forecast', () => {
+        const labels = [...head.matchAll(/<th>([^<]*)<\/th>/g)].map(m => m[1]).slice(1);
+        expect(labels.length).toBeGreaterThan(0);
+        // TODAY and TONIGHT, on the runner's clock
+        const day = new Date('2026-10-18T12:19:00Z').toLocaleDateString('en-US', { weekday: 'short' });
+        expect(labels.slice(0, 2)).toEqual([day, `${day} night`]);
+    });
+
+    test('gives each zone in the product a row filling every column', () => {
+        expect(rows.map(r => r.match(/data-zone="([^"]+)"/)[1])).toEqual(['PKZ012', 'PKZ031']);
+        const columns = head.match(/<th>/g).length - 1;
+        for (const row of rows) {
+            const cells = row.match(/<td class="route-cell[^>]*>/g);
+            expect(cells.reduce((n, td) => n + Number(td.match(/colspan="(\d+)"/)?.[1] || 1), 0)).toBe(columns);
+        }
+    });
+
+    test('shows the period wind and seas in its cell', () => {
+        expect(rows[1]).toContain('title="TONIGHT: ');
+        expect(rows[1]).toContain('<div>SE 35G45 kt</div>');
+    });
+});
+
+describe('discoverZones and restoreZones', () => {
+    beforeEach(() => {
+        global.window = { BoatSafe: { cache: memoryCache() } };
+        ForecastSummary._indexes = null;
+    });
+
+    test('reads an empty region\'s zones from its product and restores them next visit', () => {
+        const arctic = { name: 'Arctic', cwf: 'AFG', zones: {} };
+        ForecastSummary.discoverZones(arctic, CWF);
+        expect(arctic.zones.PKZ012).toBe('Northern Lynn Canal');
+
+        const nextVisit = { arctic: { name: 'Arctic', cwf: 'AFG', zones: {} } };
+        ForecastSummary.restoreZones(nextVisit);
+        expect(nextVisit.arctic.zones).toEqual(arctic.zones);
+    });
+
+    test('replaces a restored list with the live product\'s', () => {
+        window.BoatSafe.cache.set('zones_CWFAFG', { PKZ899: 'Retired zone' });
+        const regions = { arctic: { name: 'Arctic', cwf: 'AFG', zones: {} } };
+        ForecastSummary.restoreZones(regions);
+        expect(Object.keys(regions.arctic.zones)).toEqual(['PKZ899']);
+        expect(ForecastSummary.zoneProduct('PKZ899')).toEqual({ type: 'CWF', loc: 'AFG' });
+
+        ForecastSummary.discoverZones(regions.arctic, CWF);
+        expect(regions.arctic.zones.PKZ899).toBeUndefined();
+        expect(regions.arctic.zones.PKZ641).toBeDefined();
+        expect(regions.arctic.restored).toBeUndefined();
+    });
+
+    test('leaves zones.json lists alone', () => {
+        const southeast = { name: 'Southeast', cwf: 'AJK', zones: { PKZ012: 'Northern Lynn Canal' } };
+        ForecastSummary.discoverZones(southeast, CWF);
+        expect(Object.keys(southeast.zones)).toEqual(['PKZ012']);
+        expect(window.BoatSafe.cache.get('zones_CWFAJK')).toBeNull();
+    });
+});
+
+describe('offshore zone lists', () => {
+    // An OFF product shares its location with the office's CWF (OFFAER, CWFAER)
+    const OFF = [
+        'PKZ351-352-200115-',
+        'Test Offshore Waters-',
+        '419 AM AKDT Sun Oct 18 2026',
+        '',
+        '.TODAY...W wind 25 kt. Seas 10 ft.',
+        '$$',
+        ''
+    ].join('\n');
+
+    beforeEach(() => {
+        global.window = { BoatSafe: { cache: memoryCache() } };
+        ForecastSummary._indexes = null;
+    });
+
+    test('are saved apart from the coastal list of the same office', () => {
+        const gulf = { name: 'Gulf of Alaska Offshore', off: 'AER', zones: {} };
+        ForecastSummary.discoverZones(gulf, OFF);
+        expect(gulf.zones).toEqual({ PKZ351: 'Test Offshore Waters', PKZ352: 'Test Offshore Waters' });
+        expect(window.BoatSafe.cache.get('zones_OFFAER')).toEqual(gulf.zones);
+        expect(window.BoatSafe.cache.get('zones_CWFAER')).toBeNull();
+    });
+
+    test('restore to the OFF product', () => {
+        ForecastSummary.discoverZones({ off: 'AER', zones: {} }, OFF);
+        ForecastSummary._indexes = null;
+
+        const regions = {
+            north_gulf: { cwf: 'AER', zones: {} },
+            gulf_offshore: { off: 'AER', zones: {} }
+        };
+        ForecastSummary.restoreZones(regions);
+        expect(regions.north_gulf.zones).toEqual({});
+        expect(Object.keys(regions.gulf_offshore.zones)).toEqual(['PKZ351', 'PKZ352']);
+        expect(ForecastSummary.zoneProduct('PKZ352')).toEqual({ type: 'OFF', loc: 'AER' });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * MarineText parsers against a Juneau CWF (fixtures/cwf-ajk.txt) laid out
+ * the way the product is issued: synopsis segment, ranged and wrapped UGC
+ * lines, headlines, wrapped period text.
+ */
+const fs = require('fs');
+const path = require('path');
+const MarineText = require('../src/js/utils/marine-text');
+
+const CWF = fs.readFileSync(path.join(__dirname, 'fixtures/cwf-ajk.txt'), 'utf8');
+const ISSUED = '2026-10-18T12:19:00Z';
+
+describe('segments', () => {
+    const segments = MarineText.segments(CWF, ISSUED);
+
+    test('splits the product on $$ into UGC segments', () => {
+        expect(segments.map(s => s.zones[0])).toEqual(['PKZ098', 'PKZ012', 'PKZ031', 'PKZ641', 'PKZ021']);
+    });
+
+    test('reads zone name, expiry and headlines', () => {
+        const lynn = segments[1];
+        expect(lynn.name).toBe('Northern Lynn Canal');
+        expect(lynn.expires.toISOString()).toBe('2026-10-19T01:15:00.000Z');
+        expect(lynn.headlines).toEqual(['SMALL CRAFT ADVISORY TONIGHT']);
+    });
+
+    test('joins a wrapped zone name', () => {
+        expect(segments[2].name)
+            .toBe('Stephens Passage, Chatham Strait and Clarence Strait');
+    });
+
+    test('joins a UGC line wrapped before the expiry', () => {
+        const outside = segments[3];
+        expect(outside.zones).toHaveLength(12);
+        expect(outside.zones).toContain('PKZ664');
+        expect(outside.expires.toISOString()).toBe('2026-10-19T01:15:00.000Z');
+        expect(outside.name).toBe('Outside Waters from Dixon Entrance to Cape Suckling out to 15 nm');
+    });
+
+    test('joins a UGC block whose expiry sits alone on the last line', () => {
+        const outer = segments[4];
+        expect(outer.zones).toHaveLength(11);
+        expect(outer.zones.slice(3, 6)).toEqual(['PKZ041', 'PKZ042', 'PKZ043']);
+        expect(outer.zones[10]).toBe('PKZ712');
+        expect(outer.expires.toISOString()).toBe('2026-10-19T01:15:00.000Z');
+        expect(outer.name).toBe('Inner Channels and Prince William Sound');
+        expect(outer.headlines).toEqual([]);
+    });
+
+    test('finds the segment covering a zone inside a range', () => {
+        expect(MarineText.zoneSegment(CWF, 'PKZ032', ISSUED).name).toMatch(/^Stephens Passage/);
+        expect(MarineText.zoneSegment(CWF, 'PKZ034', ISSUED)).toBeNull();
+    });
+
+    test('keys every zone to its headlines', () => {
+        const headlines = MarineText.productHeadlines(CWF);
+        expect(headlines.PKZ033).toEqual(['GALE WARNING TONIGHT']);
+        expect(headlines.PKZ652).toEqual(['STORM WARNING TONIGHT']);
+        expect(headlines.PKZ098).toEqual([]);
+    });
+});
+
+describe('ugcZones', () => {
+    test('expands ranges and carries the prefix', () => {
+        expect(MarineText.ugcZones('PKZ031>033-036-PKZ098-192330-'))
+            .toEqual(['PKZ031', 'PKZ032', 'PKZ033', 'PKZ036', 'PKZ098']);
+    });
+
+    test('reads wrapped lines joined with whitespace', () => {
+        expect(MarineText.ugcZones('PKZ641-642-\n 643>644-200115-'))
+            .toEqual(['PKZ641', 'PKZ642', 'PKZ643', 'PKZ644']);
+    });
+
+    test('never treats the expiry as a zone', () => {
+        expect(MarineText.ugcZones('PKZ012-200115-')).toEqual(['PKZ012']);
+    });
+});
+
+describe('ugcExpiry', () => {
+    test('steps into the next month across a month end', () => {
+        expect(MarineText.ugcExpiry('PKZ012-010300-', '2026-10-31T20:00:00Z').toISOString())
+            .toBe('2026-11-01T03:00:00.000Z');
+    });
+
+    test('is null without a DDHHMM expiry', () => {
+        expect(MarineText.ugcExpiry('PKZ012-')).toBeNull();
+    });
+});
+
+describe('parsePeriod', () => {
+    const zone = MarineText.parseZone(MarineText.zoneSegment(CWF, 'PKZ012', ISSUED).text);
+    const gale = MarineText.parseZone(MarineText.zoneSegment(CWF, 'PKZ031', ISSUED).text);
+
+    test('reads a wind range and the increase that follows', () => {
+        const tonight = zone.periods[1];
+        expect(tonight.name).toBe('TONIGHT');
+        expect(tonight.wind).toMatchObject({ direction: 'N', speed: 15, maxSpeed: 30, gust: null });
+        expect(tonight.waves).toMatchObject({ height: 5, maxHeight: null });
+    });
+
+    test('reads gusts inside the wind sentence', () => {
+        expect(gale.periods[1].wind).toMatchObject({ direction: 'SE', speed: 35, gust: 45, description: 'Gale' });
+        expect(gale.periods[1].waves).toMatchObject({ height: 8, maxHeight: 10 });
+    });
+
+    test('merges a standalone gust sentence into the wind', () => {
+        const monNight = zone.periods[3];
+        expect(monNight.wind).toMatchObject({ direction: 'SE', speed: 20, gust: 40 });
+        expect(monNight.weather).toBeNull();
+        expect(MarineText.parsePeriod('TONIGHT', 'W wind 25 kt with gusts to 35 kt. Gusts to 45 kt in the afternoon.').wind.gust)
+            .toBe(45);
+    });
+
+    test('reads swell direction, height and period', () => {
+        expect(gale.periods[2].swell).toEqual({ direction: 'SW', height: 8, period: 12 });
+    });
+
+    test('reads variable wind, seas "or less" and visibility with its weather', () => {
+        const mon = zone.periods[2];
+        expect(mon.wind.direction).toBe('S');
+        expect(mon.waves.height).toBe(2);
+        expect(mon.visibility).toEqual({ value: 1, orLess: true });
+        expect(mon.weather.conditions).toEqual(['Areas of fog']);
+    });
+
+    test('reads combined seas', () => {
+        expect(MarineText.parsePeriod('TONIGHT', 'SE wind 50 kt. Combined seas 22 ft.').waves)
+            .toMatchObject({ height: 22, description: 'Very rough' });
+    });
+
+    test('reads fractional visibility', () => {
+        expect(MarineText.parsePeriod('TODAY', 'N wind 10 kt. Vis 1/2 nm in fog.').visibility)
+            .toEqual({ value: 0.5, orLess: false });
+    });
+
+    test('leaves the rest as weather', () => {
+        expect(zone.periods[0].weather.description).toBe('Rain');
+    });
+});
+
+describe('periodTimes', () => {
+    // Local 4:19 AM on Sunday 18 Oct, whatever the runner's time zone
+    const issued = new Date(2026, 9, 18, 4, 19);
+    const local = (day, hour) => new Date(2026, 9, day, hour).getTime();
+    const times = names => MarineText.periodTimes(names.map(name => ({ name })), issued)
+        .map(t => t && [t.start.getTime(), t.end.getTime()]);
+
+    test('runs days and nights 6 to 6 from the issuance day', () => {
+        expect(times(['TODAY', 'TONIGHT', 'MON', 'MON NIGHT'])).toEqual([
+            [local(18, 6), local(18, 18)],
+            [local(18, 18), local(19, 6)],
+            [local(19, 6), local(19, 18)],
+            [local(19, 18), local(20, 6)]
+        ]);
+    });
+
+    test('stretches extended single-day periods to the next one', () => {
+        const [, tue, wed] = times(['MON NIGHT', 'TUE', 'WED']);
+        expect(tue).toEqual([local(20, 6), local(21, 6)]);
+        expect(wed).toEqual([local(21, 6), local(22, 6)]);
+    });
+
+    test('is null for names that are not times', () => {
+        expect(times(['SYNOPSIS', 'TODAY'])[0]).toBeNull();
+    });
+
+    test('places the whole fixture zone on the clock', () => {
+        const periods = MarineText.parseZone(MarineText.zoneSegment(CWF, 'PKZ012', ISSUED).text).periods;
+        const spans = MarineText.periodTimes(periods, issued);
+        expect(spans).toHaveLength(6);
+        expect(spans.every(Boolean)).toBe(true);
+        expect(spans[5].start.getTime()).toBe(local(21, 6));
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * PointForecast's gridpoint expansion: ISO-interval layers from
+ * forecastGridData to hourly values in display units.
+ */
+const PointForecast = require('../src/js/widgets/point-forecast');
+
+const FROM = Date.parse('2026-10-19T12:00:00Z');
+const HOUR = 3600000;
+
+describe('parseValidTime', () => {
+    test('reads hour, day and mixed durations', () => {
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00/PT3H')).toEqual({ start: FROM, hours: 3 });
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00/P1D')).toEqual({ start: FROM, hours: 24 });
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00/P1DT6H').hours).toBe(30);
+    });
+
+    test('reads the offset of the start time', () => {
+        expect(PointForecast.parseValidTime('2026-10-19T04:00:00-08:00/PT1H').start).toBe(FROM);
+    });
+
+    test('counts sub-hour intervals as one hour', () => {
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00/PT30M').hours).toBe(1);
+    });
+
+    test('is null for a bad start or duration', () => {
+        expect(PointForecast.parseValidTime('not a time/PT1H')).toBeNull();
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00/3H')).toBeNull();
+        expect(PointForecast.parseValidTime('2026-10-19T12:00:00+00:00')).toBeNull();
+    });
+});
+
+describe('expand', () => {
+    test('spreads each interval over its hours and converts units', () => {
+        const layer = {
+            uom: 'wmoUnit:km_h-1',
+            values: [
+                { validTime: '2026-10-19T12:00:00+00:00/PT2H', value: 37.04 },
+                { validTime: '2026-10-19T14:00:00+00:00/PT1H', value: 18.52 }
+            ]
+        };
+        expect(PointForecast.expand(layer, FROM, 4).map(v => v && Math.round(v)))
+            .toEqual([20, 20, 10, null]);
+    });
+
+    test('clips intervals that start before or run past the window', () => {
+        const layer = {
+            uom: 'wmoUnit:m',
+            values: [{ validTime: '2026-10-19T10:00:00+00:00/PT4H', value: 1 }]
+        };
+        const out = PointForecast.expand(layer, FROM, 3);
+        expect(out[0]).toBeCloseTo(3.28084);
+        expect(out[1]).toBeCloseTo(3.28084);
+        expect(out[2]).toBeNull();
+    });
+
+    test('skips null values and keeps unknown units as they are', () => {
+        const layer = {
+            uom: 'wmoUnit:furlong',
+            values: [
+                { validTime: '2026-10-19T12:00:00+00:00/PT1H', value: null },
+                { validTime: '2026-10-19T13:00:00+00:00/PT1H', value: 7 }
+            ]
+        };
+        expect(PointForecast.expand(layer, FROM, 2)).toEqual([null, 7]);
+    });
+
+    test('is all null without a layer', () => {
+        expect(PointForecast.expand(undefined, FROM, 2)).toEqual([null, null]);
+    });
+});
+
+describe('hourly', () => {
+    const props = {
+        windSpeed: { uom: 'wmoUnit:km_h-1', values: [{ validTime: '2026-10-19T12:00:00+00:00/PT3H', value: 27.78 }] },
+        windGust: { uom: 'wmoUnit:km_h-1', values: [{ validTime: '2026-10-19T12:00:00+00:00/PT3H', value: 46.3 }] },
+        windDirection: { uom: 'wmoUnit:degree_(angle)', values: [{ validTime: '2026-10-19T12:00:00+00:00/PT3H', value: 135 }] },
+        waveHeight: { uom: 'wmoUnit:m', values: [{ validTime: '2026-10-19T12:00:00+00:00/PT1H', value: 1.2 }] },
+        probabilityOfPrecipitation: { uom: 'wmoUnit:percent', values: [{ validTime: '2026-10-19T12:00:00+00:00/PT6H', value: 40 }] }
+    };
+
+    test('starts on the hour and rounds each element', () => {
+        const hours = PointForecast.hourly(props, FROM + 25 * 60000, 2);
+        expect(hours[0]).toEqual({
+            time: new Date(FROM), wind: 15, gust: 25, direction: 135, seas: 3.9, pop: 40
+        });
+        expect(hours[1].time).toEqual(new Date(FROM + HOUR));
+        expect(hours[1].seas).toBeNull();
+    });
+
+    test('leaves hours past the data null', () => {
+        const last = PointForecast.hourly(props, FROM, 4)[3];
+        expect(last).toMatchObject({ wind: null, gust: null, direction: null, seas: null, pop: 40 });
+    });
+});
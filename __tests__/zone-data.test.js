@@ -0,0 +1,20 @@
+/**
+ * The coastal zone lists in src/data, which scripts/make-ak-coastal-zones.js
+ * writes to two files that must agree.
+ */
+const coastal = require('../src/data/coastal-stations.json');
+const zones = require('../src/data/zones.json');
+
+describe('coastal zone lists', () => {
+    test('zones.json weather_zones lists exactly the coastal-stations.json zones', () => {
+        const listed = Object.assign({}, ...Object.values(coastal.regions).map(r => r.zones));
+        expect(zones.weather_zones.zones).toEqual(listed);
+    });
+
+    test('every coastal region offered has zones', () => {
+        for (const region of Object.values(coastal.regions)) {
+            expect(Object.keys(region.zones).length).toBeGreaterThan(0);
+            expect(Object.keys(region.zones).every(id => /^AKZ\d{3}$/.test(id))).toBe(true);
+        }
+    });
+});
@@ -53,12 +53,19 @@ fs.writeFileSync(path.join(buildDir, 'styles.min.css'), minifiedCSS.styles);
 const jsFiles = [
   path.join(srcDir, 'js/utils/cache.js'),
   path.join(srcDir, 'js/utils/http.js'),
+  path.join(srcDir, 'js/utils/marine-text.js'),
+  path.join(srcDir, 'js/utils/vessel-limits.js'),
+  path.join(srcDir, 'js/utils/glossary.js'),
+  path.join(srcDir, 'js/utils/alert-watch.js'),
   path.join(srcDir, 'js/widgets/forecast-summary.js'),
+  path.join(srcDir, 'js/widgets/route-forecast.js'),
   path.join(srcDir, 'js/widgets/discussion.js'),
   path.join(srcDir, 'js/widgets/weather.js'),
   path.join(srcDir, 'js/widgets/seak-observations.js'),
   path.join(srcDir, 'js/widgets/coastal-forecast.js'),
+  path.join(srcDir, 'js/widgets/point-forecast.js'),
   path.join(srcDir, 'js/widgets/tide-map.js'),
+  path.join(srcDir, 'js/widgets/zone-map.js'),
   path.join(srcDir, 'js/widgets/tides-currents.js'),
   path.join(srcDir, 'js/app.js')
 ];
@@ -86,6 +93,15 @@ fs.copyFileSync(path.join(srcDir, 'data/ak-tide-stations.json'), path.join(dataD
 fs.copyFileSync(path.join(srcDir, 'data/ak-coastline.json'), path.join(dataDir, 'ak-coastline.json'));
 fs.copyFileSync(path.join(srcDir, 'data/ak-current-stations.json'), path.join(dataDir, 'ak-current-stations.json'));
 fs.copyFileSync(path.join(srcDir, 'data/coastal-stations.json'), path.join(dataDir, 'coastal-stations.json'));
+fs.copyFileSync(path.join(srcDir, 'data/glossary.json'), path.join(dataDir, 'glossary.json'));
+// Generated by scripts/make-ak-marine-zones.js; the zone map hides itself without it
+const marineZones = path.join(srcDir, 'data/ak-marine-zones.json');
+if (fs.existsSync(marineZones)) {
+  fs.copyFileSync(marineZones, path.join(dataDir, 'ak-marine-zones.json'));
+} else {
+  console.warn('WARNING: src/data/ak-marine-zones.json is missing; the marine zone map and ' +
+    'zone-shaped alert areas will not show. Generate it with scripts/make-ak-marine-zones.js.');
+}
 
 // Copy logo image
 fs.copyFileSync(path.join(srcDir, 'oceanbightlogo.png'), path.join(buildDir, 'oceanbightlogo.png'));
@@ -95,6 +111,9 @@ fs.copyFileSync(path.join(srcDir, 'manifest.json'), path.join(buildDir, 'manifes
 
 // Copy service worker to the site root so its scope covers the whole app
 fs.copyFileSync(path.join(srcDir, 'sw.js'), path.join(buildDir, 'sw.js'));
+// ...and the alert watcher it imports, at the same path as in src
+fs.mkdirSync(path.join(buildDir, 'js/utils'), { recursive: true });
+fs.copyFileSync(path.join(srcDir, 'js/utils/alert-watch.js'), path.join(buildDir, 'js/utils/alert-watch.js'));
 
 // Copy the standalone disclaimer page (self-contained, no build rewrite needed)
 fs.copyFileSync(path.join(srcDir, 'disclaimer.html'), path.join(buildDir, 'disclaimer.html'));
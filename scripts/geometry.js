@@ -0,0 +1,78 @@
+/**
+ * Geometry shared by the map asset generators (make-ak-coastline.js,
+ * make-ak-marine-zones.js, make-ak-coastal-zones.js): the Alaska bbox,
+ * Sutherland-Hodgman bbox clip and Douglas-Peucker simplify. No deps.
+ */
+
+// Bbox in "Alaska-normalized" lons (west of antimeridian mapped to lon-360).
+// Covers Dixon Entrance to Attu, plus a sliver of BC and Chukotka for context.
+const BBOX = { lonMin: -190, lonMax: -129, latMin: 50.5, latMax: 72.5 };
+
+function clipRing(ring, bbox) {
+  // Sutherland-Hodgman against the 4 bbox half-planes
+  const edges = [
+    p => p[0] >= bbox.lonMin, // inside tests
+    p => p[0] <= bbox.lonMax,
+    p => p[1] >= bbox.latMin,
+    p => p[1] <= bbox.latMax
+  ];
+  const intersect = (a, b, edgeIdx) => {
+    const [x1, y1] = a, [x2, y2] = b;
+    let t;
+    if (edgeIdx === 0) t = (bbox.lonMin - x1) / (x2 - x1);
+    else if (edgeIdx === 1) t = (bbox.lonMax - x1) / (x2 - x1);
+    else if (edgeIdx === 2) t = (bbox.latMin - y1) / (y2 - y1);
+    else t = (bbox.latMax - y1) / (y2 - y1);
+    return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+  };
+  let poly = ring;
+  for (let e = 0; e < 4; e++) {
+    const inside = edges[e];
+    const out = [];
+    for (let i = 0; i < poly.length; i++) {
+      const cur = poly[i];
+      const prev = poly[(i + poly.length - 1) % poly.length];
+      const curIn = inside(cur), prevIn = inside(prev);
+      if (curIn) {
+        if (!prevIn) out.push(intersect(prev, cur, e));
+        out.push(cur);
+      } else if (prevIn) {
+        out.push(intersect(prev, cur, e));
+      }
+    }
+    poly = out;
+    if (poly.length === 0) return [];
+  }
+  return poly;
+}
+
+function perpDist(p, a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  if (len2 === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  let t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function douglasPeucker(pts, tol) {
+  if (pts.length < 3) return pts;
+  const keep = new Uint8Array(pts.length);
+  keep[0] = keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [s, e] = stack.pop();
+    let maxD = 0, idx = -1;
+    for (let i = s + 1; i < e; i++) {
+      const d = perpDist(pts[i], pts[s], pts[e]);
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (maxD > tol) {
+      keep[idx] = 1;
+      stack.push([s, idx], [idx, e]);
+    }
+  }
+  return pts.filter((_, i) => keep[i]);
+}
+
+module.exports = { BBOX, clipRing, perpDist, douglasPeucker };
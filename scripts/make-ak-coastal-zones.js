@@ -0,0 +1,150 @@
+/**
+ * Regenerate the coastal land-zone lists from the NWS public forecast zones:
+ *
+ * - src/data/coastal-stations.json: regions (Southeast, Southcentral,
+ *   Southwest, Aleutians, Arctic) -> { AKZxxx: name }, for CoastalForecast
+ * - the "weather_zones" block of src/data/zones.json, kept as the same list
+ *
+ * A zone is "coastal" when a vertex of its boundary comes within TOUCH
+ * degrees of a marine zone's boundary (src/data/ak-marine-zones.json, from
+ * make-ak-marine-zones.js), which drops the Interior and the Brooks Range. Regions follow the issuing
+ * office (AJK, AFC, AFG); Anchorage's zones are split by where they lie.
+ *
+ * Usage: node scripts/make-ak-coastal-zones.js [public-zones.geojson]
+ * (Without a file, fetches https://api.weather.gov/zones?type=forecast&area=AK&include_geometry=true)
+ */
+const fs = require('fs');
+const path = require('path');
+const { perpDist } = require('./geometry');
+
+const DATA = path.join(__dirname, '../src/data');
+const COASTAL_OUT = path.join(DATA, 'coastal-stations.json');
+const ZONES_JSON = path.join(DATA, 'zones.json');
+const MARINE = path.join(DATA, 'ak-marine-zones.json');
+const ZONES_URL = 'https://api.weather.gov/zones?type=forecast&area=AK&include_geometry=true';
+
+const TOUCH = 0.05; // degrees, about 5 km
+const CELL = 0.1;   // grid cell for the proximity lookup
+
+// Output order and labels; ids match CoastalForecast's saved preferences
+const REGIONS = {
+  southeast_alaska: { name: 'Southeast Alaska', office: 'AJK' },
+  southcentral: { name: 'Southcentral Alaska', office: 'AFC' },
+  southwest: { name: 'Southwest Alaska', office: 'AFC' },
+  aleutians: { name: 'Aleutian Islands', office: 'AFC' },
+  arctic: { name: 'Arctic and Western Alaska', office: 'AFG' }
+};
+
+// Anchorage covers three regions: the chain west of Unimak Pass, then Bristol
+// Bay / the Peninsula / the Y-K Delta west of Kodiak, then the rest
+function regionOf(office, lon, lat) {
+  if (office === 'AJK') return 'southeast_alaska';
+  if (office === 'AFG') return 'arctic';
+  if (office !== 'AFC') return null;
+  if (lon < -164) return 'aleutians';
+  if (lon < -154 && lat < 63) return 'southwest';
+  return 'southcentral';
+}
+
+const normLon = x => (x > 0 ? x - 360 : x);
+
+function rings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+}
+
+// Marine zone edges bucketed by every grid cell their bbox touches
+function marineGrid() {
+  if (!fs.existsSync(MARINE)) {
+    throw new Error(`${MARINE} not found; run make-ak-marine-zones.js first`);
+  }
+  const { zones } = JSON.parse(fs.readFileSync(MARINE, 'utf8'));
+  const grid = new Map();
+  for (const zone of Object.values(zones)) {
+    for (const ring of zone.rings) {
+      for (let i = 0; i < ring.length; i += 2) {
+        const j = (i + 2) % ring.length;
+        const a = [ring[i], ring[i + 1]], b = [ring[j], ring[j + 1]];
+        for (let cx = Math.floor(Math.min(a[0], b[0]) / CELL); cx <= Math.floor(Math.max(a[0], b[0]) / CELL); cx++) {
+          for (let cy = Math.floor(Math.min(a[1], b[1]) / CELL); cy <= Math.floor(Math.max(a[1], b[1]) / CELL); cy++) {
+            const key = `${cx},${cy}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push([a, b]);
+          }
+        }
+      }
+    }
+  }
+  return grid;
+}
+
+function isCoastal(zoneRings, grid) {
+  for (const ring of zoneRings) {
+    for (const [rawX, y] of ring) {
+      const p = [normLon(rawX), y];
+      const cx = Math.floor(p[0] / CELL), cy = Math.floor(p[1] / CELL);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const [a, b] of grid.get(`${cx + dx},${cy + dy}`) || []) {
+            if (perpDist(p, a, b) <= TOUCH) return true;
+          }
+        }
+      }
+    }
+  }
+  return false;
+}
+
+async function loadZones(file) {
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  const res = await fetch(ZONES_URL, { headers: { 'User-Agent': 'BoatSafe build', Accept: 'application/geo+json' } });
+  if (!res.ok) throw new Error(`zones HTTP ${res.status}`);
+  return res.json();
+}
+
+async function main() {
+  const geo = await loadZones(process.argv[2]);
+  const grid = marineGrid();
+
+  const out = {};
+  for (const [id, meta] of Object.entries(REGIONS)) out[id] = { ...meta, zones: {} };
+
+  let skipped = 0;
+  for (const f of geo.features || []) {
+    const props = f.properties || {};
+    const id = String(props.id || '').toUpperCase();
+    if (!/^AKZ\d{3}$/.test(id)) continue;
+    const zoneRings = rings(f.geometry);
+    if (!zoneRings.length || !isCoastal(zoneRings, grid)) { skipped++; continue; }
+
+    // Region by the zone's bbox centre
+    const pts = zoneRings.flat();
+    const lons = pts.map(p => normLon(p[0])), lats = pts.map(p => p[1]);
+    const lon = (Math.min(...lons) + Math.max(...lons)) / 2;
+    const lat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const office = [].concat(props.cwa || [])[0];
+    const region = regionOf(office, lon, lat);
+    if (!region) { skipped++; continue; }
+    out[region].zones[id] = props.name || id;
+  }
+
+  // Zone ids in numeric order within each region
+  for (const region of Object.values(out)) {
+    region.zones = Object.fromEntries(Object.entries(region.zones).sort(([a], [b]) => a.localeCompare(b)));
+  }
+  fs.writeFileSync(COASTAL_OUT, JSON.stringify({ regions: out }, null, 2) + '\n');
+
+  // Mirror the full list into zones.json so both files name the same zones
+  const zonesJson = JSON.parse(fs.readFileSync(ZONES_JSON, 'utf8'));
+  zonesJson.weather_zones.zones = Object.assign({}, ...Object.values(out).map(r => r.zones));
+  fs.writeFileSync(ZONES_JSON, JSON.stringify(zonesJson, null, 2) + '\n');
+
+  for (const [id, region] of Object.entries(out)) {
+    console.log(`${id}: ${Object.keys(region.zones).length} zones`);
+  }
+  console.log(`Skipped ${skipped} inland or unassigned zones. Wrote ${COASTAL_OUT} and weather_zones in ${ZONES_JSON}`);
+}
+
+main().catch(err => { console.error(err.message); process.exit(1); });
@@ -0,0 +1,81 @@
+/**
+ * Regenerate src/data/ak-marine-zones.json from the NWS marine zone
+ * boundaries (public domain). Same approach as make-ak-coastline.js: bbox clip
+ * + Douglas-Peucker simplify from geometry.js. The source files are NOT kept
+ * in the repo; download the coastal ("mz") and offshore ("oz") zone
+ * shapefiles from https://www.weather.gov/gis/MarineZones and convert them to
+ * GeoJSON first, e.g.
+ *
+ *   ogr2ogr -f GeoJSON -t_srs EPSG:4326 mz.geojson mz05mr24.shp
+ *
+ * Only Alaska zones (ID starting "PKZ") are kept. Output shape:
+ * { "bbox": [...], "zones": { "PKZ012": { "name", "rings": [[lon,lat,...]] } } }
+ *
+ * Usage: node scripts/make-ak-marine-zones.js <zones.geojson> [more.geojson ...] [--tol=0.01]
+ */
+const fs = require('fs');
+const path = require('path');
+// Same extent as the coastline so both assets share TideMap's projection
+const { BBOX, clipRing, douglasPeucker } = require('./geometry');
+
+const args = process.argv.slice(2);
+const INPUTS = args.filter(a => !a.startsWith('--'));
+if (!INPUTS.length) {
+  console.error('Usage: node scripts/make-ak-marine-zones.js <zones.geojson> [more.geojson ...] [--tol=0.01]');
+  process.exit(1);
+}
+const tolArg = args.find(a => a.startsWith('--tol='));
+const OUT = path.join(__dirname, '../src/data/ak-marine-zones.json');
+
+function buildZones(tol) {
+  const zones = {};
+  for (const file of INPUTS) {
+    const geo = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const f of geo.features) {
+      const props = f.properties || {};
+      const id = String(props.ID || props.id || '').toUpperCase();
+      if (!/^PKZ\d{3}$/.test(id) || !f.geometry) continue;
+
+      const polys = f.geometry.type === 'Polygon' ? [f.geometry.coordinates]
+        : f.geometry.type === 'MultiPolygon' ? f.geometry.coordinates : [];
+      const zone = zones[id] || (zones[id] = { name: props.NAME || props.name || id, rings: [] });
+      for (const poly of polys) {
+        // Holes are kept: the map hit-tests with the even-odd rule
+        for (const raw of poly) {
+          // Alaska zones never straddle 0 deg, so a per-point shift of the
+          // eastern-hemisphere Aleutians (+170..+180) is safe here
+          const ring = raw.map(([x, y]) => [x > 0 ? x - 360 : x, y]);
+          const clipped = clipRing(ring, BBOX);
+          if (clipped.length < 4) continue;
+          const simplified = douglasPeucker(clipped, tol);
+          if (simplified.length < 4) continue;
+          const flat = [];
+          let px = null, py = null;
+          for (const [x, y] of simplified) {
+            const rx = Math.round(x * 1000) / 1000, ry = Math.round(y * 1000) / 1000;
+            if (rx === px && ry === py) continue;
+            flat.push(rx, ry);
+            px = rx; py = ry;
+          }
+          if (flat.length >= 8) zone.rings.push(flat);
+        }
+      }
+      if (!zone.rings.length) delete zones[id];
+    }
+  }
+  return zones;
+}
+
+const toJson = zones => JSON.stringify({ bbox: [BBOX.lonMin, BBOX.latMin, BBOX.lonMax, BBOX.latMax], zones });
+
+// Tune tolerance to land near the size budget
+for (const tol of [0.02, 0.01, 0.005]) {
+  const zones = buildZones(tol);
+  console.log(`tol=${tol}: ${Object.keys(zones).length} zones, ${(toJson(zones).length / 1024).toFixed(1)} KB`);
+}
+
+const CHOSEN_TOL = parseFloat(tolArg ? tolArg.slice(6) : '0.01');
+const zones = buildZones(CHOSEN_TOL);
+const json = toJson(zones);
+fs.writeFileSync(OUT, json);
+console.log(`WROTE tol=${CHOSEN_TOL}: ${Object.keys(zones).length} zones, ${(json.length / 1024).toFixed(1)} KB -> ${OUT}`);
@@ -0,0 +1,72 @@
+/**
+ * Fill in the marine zone lists of src/data/zones.json from the products
+ * that carry them. Each region names its product ("cwf": "AFG" for a
+ * Coastal Waters Forecast, "off": "AER" for an Offshore one); every
+ * segment's UGC line gives the zone ids and the line after it the name, the
+ * same reading ForecastSummary.discoverZones does at runtime. Committing the
+ * lists keeps the zones usable offline and lets alerts, routes and the
+ * discussion links find them without a product fetch first.
+ *
+ * Only regions whose zone list is empty are filled, unless --all is given.
+ *
+ * Usage: node scripts/make-zone-lists.js [--all] [region=product.txt ...]
+ * (Without a file for a region, fetches its latest product from
+ * https://api.weather.gov/products/types/<CWF|OFF>/locations/<loc>)
+ */
+const fs = require('fs');
+const path = require('path');
+const MarineText = require('../src/js/utils/marine-text');
+
+const ZONES_JSON = path.join(__dirname, '../src/data/zones.json');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const FILES = Object.fromEntries(args.filter(a => a.includes('=')).map(a => a.split('=')));
+
+function productOf(region) {
+  if (region.cwf) return { type: 'CWF', loc: region.cwf };
+  if (region.off) return { type: 'OFF', loc: region.off };
+  return null;
+}
+
+async function productText(id, { type, loc }) {
+  if (FILES[id]) return fs.readFileSync(FILES[id], 'utf8');
+  const headers = { 'User-Agent': 'BoatSafe build', Accept: 'application/ld+json' };
+  const listRes = await fetch(`https://api.weather.gov/products/types/${type}/locations/${loc}`, { headers });
+  if (!listRes.ok) throw new Error(`${type}${loc} list HTTP ${listRes.status}`);
+  const graph = (await listRes.json())['@graph'] || [];
+  if (!graph.length) throw new Error(`No ${type} product for ${loc}`);
+  const res = await fetch(`https://api.weather.gov/products/${graph[0].id}`, { headers });
+  if (!res.ok) throw new Error(`${type}${loc} HTTP ${res.status}`);
+  return (await res.json()).productText || '';
+}
+
+async function main() {
+  const zonesJson = JSON.parse(fs.readFileSync(ZONES_JSON, 'utf8'));
+  let failed = 0;
+
+  for (const [id, region] of Object.entries(zonesJson.regions)) {
+    const product = productOf(region);
+    if (!product || (!ALL && Object.keys(region.zones || {}).length)) continue;
+    try {
+      const zones = {};
+      for (const seg of MarineText.segments(await productText(id, product))) {
+        for (const zone of seg.zones) {
+          if (zone.startsWith('PKZ') && !zones[zone]) zones[zone] = seg.name || zone;
+        }
+      }
+      if (!Object.keys(zones).length) throw new Error('no PKZ segments in the product');
+      region.zones = Object.fromEntries(Object.entries(zones).sort(([a], [b]) => a.localeCompare(b)));
+      console.log(`${id}: ${Object.keys(zones).length} zones from ${product.type}${product.loc}`);
+    } catch (err) {
+      failed++;
+      console.error(`${id}: ${err.message}`);
+    }
+  }
+
+  fs.writeFileSync(ZONES_JSON, JSON.stringify(zonesJson, null, 2) + '\n');
+  console.log(`Wrote ${ZONES_JSON}${failed ? ` (${failed} region(s) failed)` : ''}`);
+  if (failed) process.exit(1);
+}
+
+main().catch(err => { console.error(err.message); process.exit(1); });
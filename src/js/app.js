@@ -73,6 +73,7 @@ class BoatSafeApp {
         // Initialize widgets
         this.widgets = {
             forecastSummary: new ForecastSummary(),
+            routeForecast: new RouteForecast(),
             discussion: new Discussion(),
             coastalForecast: new CoastalForecast(),
             tidesCurrents: new TidesCurrents(),
@@ -140,169 +141,8 @@ class BoatSafeApp {
     // Region/zone forecast orchestration used to live here and proxied through
     // Netlify functions. Each widget now loads its own data directly from NOAA
     // (see forecast-summary, discussion, seak-observations, tides-currents), so
-    // that central orchestration is gone.
-
-    /**
-     * Parse NOAA text forecast into individual periods
-     * @param {string} rawText - Raw NOAA text forecast
-     * @returns {Array} Parsed forecast periods
-     */
-    parseNOAATextForecast(rawText) {
-        const lines = rawText.split('\n');
-        const periods = [];
-        let currentPeriod = null;
-        let stationName = '';
-        let issueTime = '';
-        
-        // Extract station name and issue time
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Look for the station/zone name (usually after PKZ###-)
-            if (line.includes('PKZ') && line.includes('-')) {
-                const nextLine = lines[i + 1]?.trim();
-                if (nextLine && !nextLine.includes('PM') && !nextLine.includes('AM')) {
-                    stationName = nextLine;
-                }
-            }
-            
-            // Look for issue time
-            if (line.includes('PM AKDT') || line.includes('AM AKDT')) {
-                issueTime = line;
-            }
-            
-            // Look for forecast periods (start with .)
-            if (line.startsWith('.') && line.includes('...')) {
-                // Save previous period
-                if (currentPeriod) {
-                    periods.push(currentPeriod);
-                }
-                
-                // Start new period
-                const periodName = line.replace(/^\./, '').replace(/\.\.\.$/, '').trim();
-                currentPeriod = {
-                    name: periodName,
-                    text: '',
-                    stationName,
-                    issueTime
-                };
-            } else if (currentPeriod && line && !line.includes('$$') && !line.includes('Expires:')) {
-                // Add to current period text
-                currentPeriod.text += (currentPeriod.text ? ' ' : '') + line;
-            }
-        }
-        
-        // Add the last period
-        if (currentPeriod) {
-            periods.push(currentPeriod);
-        }
-        
-        return periods;
-    }
-
-    /**
-     * Parse wind information from NWS forecast text
-     * @param {string} text - Forecast text
-     * @returns {Object|null} Wind data
-     */
-    parseNWSWind(text) {
-        const windPattern = /(\w+)\s+wind(?:s)?\s+(\d+)(?:\s*to\s*(\d+))?\s*(?:mph|knots?)/i;
-        const match = text.match(windPattern);
-        
-        if (match) {
-            const direction = match[1].toUpperCase();
-            const speed = parseInt(match[2]);
-            const maxSpeed = match[3] ? parseInt(match[3]) : null;
-            
-            return {
-                direction,
-                directionName: this.getWindDirectionName(direction),
-                speed,
-                maxSpeed,
-                description: this.getWindDescription(speed)
-            };
-        }
-        return null;
-    }
-
-    /**
-     * Parse wave information from NWS forecast text
-     * @param {string} text - Forecast text
-     * @returns {Object|null} Wave data
-     */
-    parseNWSWaves(text) {
-        const wavePattern = /(?:waves?|seas?)\s+(\d+)(?:\s*to\s*(\d+))?\s*(?:feet|ft)/i;
-        const match = text.match(wavePattern);
-        
-        if (match) {
-            const height = parseInt(match[1]);
-            const maxHeight = match[2] ? parseInt(match[2]) : null;
-            
-            return {
-                height,
-                maxHeight,
-                description: this.getWaveDescription(height)
-            };
-        }
-        return null;
-    }
-
-    /**
-     * Parse weather conditions from NWS forecast text
-     * @param {string} text - Forecast text
-     * @returns {Object|null} Weather data
-     */
-    parseNWSWeather(text) {
-        const weatherKeywords = ['rain', 'showers', 'thunderstorms', 'fog', 'snow', 'clear', 'cloudy', 'sunny'];
-        const foundWeather = weatherKeywords.filter(keyword => 
-            text.toLowerCase().includes(keyword)
-        );
-        
-        return foundWeather.length > 0 ? {
-            conditions: foundWeather,
-            description: foundWeather.join(', ')
-        } : null;
-    }
-
-    /**
-     * Get wind direction name
-     * @param {string} direction - Wind direction abbreviation
-     * @returns {string} Full direction name
-     */
-    getWindDirectionName(direction) {
-        const directions = {
-            'N': 'North', 'NE': 'Northeast', 'E': 'East', 'SE': 'Southeast',
-            'S': 'South', 'SW': 'Southwest', 'W': 'West', 'NW': 'Northwest'
-        };
-        return directions[direction.toUpperCase()] || direction;
-    }
-
-    /**
-     * Get wind description based on speed
-     * @param {number} speed - Wind speed
-     * @returns {string} Description
-     */
-    getWindDescription(speed) {
-        if (speed < 7) return 'Light';
-        if (speed < 17) return 'Moderate';
-        if (speed < 27) return 'Fresh';
-        if (speed < 34) return 'Strong';
-        return 'Gale';
-    }
-
-    /**
-     * Get wave description based on height
-     * @param {number} height - Wave height in feet
-     * @returns {string} Description
-     */
-    getWaveDescription(height) {
-        if (height < 2) return 'Calm';
-        if (height < 4) return 'Light';
-        if (height < 6) return 'Moderate';
-        if (height < 10) return 'Rough';
-        return 'Very rough';
-    }
-
+    // that central orchestration is gone. CWF text parsing lives in
+    // utils/marine-text.js.
 
     /**
      * Load tide data
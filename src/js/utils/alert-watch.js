@@ -0,0 +1,241 @@
+/**
+ * Watched-zone alert notifications, all client side. The user watches marine
+ * or coastal zones; each alerts poll (WeatherWidget's 15-minute refresh, or the
+ * service worker's periodic sync when the browser offers it) goes through
+ * check(), which raises a system notification for a new alert on a watched
+ * zone or one that upgrades an earlier alert (Gale Warning -> Storm Warning).
+ *
+ * Alert ids already seen are remembered so nothing fires twice. The watch
+ * list and seen ids live in Cache Storage rather than localStorage because
+ * the service worker has to read them too; localStorage is the fallback
+ * where Cache Storage is missing (plain http). This file is also loaded by
+ * sw.js with importScripts, so it must not touch the DOM.
+ */
+class AlertWatch {
+    static STORE = 'boatsafe-alert-watch';      // cache name, kept by sw.js on activate
+    static STORE_KEY = './alert-watch.json';
+    static STORAGE_KEY = 'boatsafe_alert_watch';
+    static SYNC_TAG = 'boatsafe-alerts';
+    static POLL_MINUTES = 15;
+    static SEEN_DAYS = 14;                      // forget seen ids this long after they expire
+
+    // Marine hazard ladder, so an upgrade is caught even when NWS gives both
+    // products the same severity (Gale and Storm Warnings are both Moderate
+    // at times); anything else ranks by severity
+    static EVENT_RANK = {
+        'Small Craft Advisory': 1,
+        'Freezing Spray Advisory': 1,
+        'Gale Watch': 1,
+        'Gale Warning': 2,
+        'Storm Watch': 2,
+        'Heavy Freezing Spray Warning': 3,
+        'Special Marine Warning': 3,
+        'Storm Warning': 3,
+        'Hurricane Force Wind Warning': 4
+    };
+    static SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+
+    constructor() {
+        this.state = null;                      // { zones: [id], seen: { alertId: { rank, expires } } }
+        this.listeners = [];
+    }
+
+    get zones() {
+        return this.state?.zones || [];
+    }
+
+    /**
+     * UGC zone codes an alert covers: geocode.UGC plus the last path segment
+     * of each affectedZones URL (.../zones/forecast/AKZ318)
+     * @param {Object} feature - Alert feature
+     * @returns {Set<string>} Zone ids, upper case
+     */
+    static zonesOf(feature) {
+        const p = feature.properties || {};
+        const zones = new Set((p.geocode?.UGC || []).map(z => String(z).toUpperCase()));
+        (p.affectedZones || []).forEach(url => {
+            const id = String(url).split('/').pop().toUpperCase();
+            if (/^[A-Z]{2}[CZ]\d{3}$/.test(id)) zones.add(id);
+        });
+        return zones;
+    }
+
+    static rank(props) {
+        return AlertWatch.EVENT_RANK[props.event] ?? (AlertWatch.SEVERITY_RANK[props.severity] || 0);
+    }
+
+    static idOf(feature) {
+        return feature.properties?.id || feature.id;
+    }
+
+    /** @param {boolean} [reload] - Re-read, picking up the other side's seen ids */
+    async load(reload = false) {
+        if (this.state && !reload) return this.state;
+        let state = null;
+        try {
+            if (typeof caches !== 'undefined') {
+                const res = await (await caches.open(AlertWatch.STORE)).match(AlertWatch.STORE_KEY);
+                if (res) state = await res.json();
+            } else if (typeof localStorage !== 'undefined') {
+                state = JSON.parse(localStorage.getItem(AlertWatch.STORAGE_KEY) || 'null');
+            }
+        } catch (error) {
+            console.warn('Failed to load watched zones:', error);
+        }
+        this.state = {
+            zones: Array.isArray(state?.zones) ? state.zones : [],
+            seen: state?.seen && typeof state.seen === 'object' ? state.seen : {}
+        };
+        return this.state;
+    }
+
+    async save() {
+        const body = JSON.stringify(this.state);
+        try {
+            if (typeof caches !== 'undefined') {
+                const cache = await caches.open(AlertWatch.STORE);
+                await cache.put(AlertWatch.STORE_KEY, new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+            } else if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(AlertWatch.STORAGE_KEY, body);
+            }
+        } catch (error) {
+            console.warn('Failed to save watched zones:', error);
+        }
+        this.listeners.forEach(fn => fn(this.zones));
+    }
+
+    /** Call fn(zones) whenever the watch list changes */
+    subscribe(fn) {
+        this.listeners.push(fn);
+    }
+
+    /**
+     * Start watching a zone. Alerts already in force for it count as seen,
+     * since the user is looking at them; only later ones notify.
+     * @param {string} zoneId - PKZ or AKZ zone id
+     * @param {Array} features - Currently active alerts
+     */
+    async watch(zoneId, features = []) {
+        await this.load();
+        const zone = zoneId.toUpperCase();
+        if (this.state.zones.includes(zone)) return;
+        this.state.zones.push(zone);
+        features.filter(f => AlertWatch.zonesOf(f).has(zone)).forEach(f => this.markSeen(f));
+        await this.save();
+        this.registerSync();
+    }
+
+    async unwatch(zoneId) {
+        await this.load();
+        this.state.zones = this.state.zones.filter(z => z !== zoneId.toUpperCase());
+        await this.save();
+        if (!this.state.zones.length) this.registerSync();
+    }
+
+    markSeen(feature) {
+        const p = feature.properties || {};
+        this.state.seen[AlertWatch.idOf(feature)] = {
+            rank: AlertWatch.rank(p),
+            expires: p.ends || p.expires || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare an alerts poll against the watch list and notify what's new.
+     * An alert that replaces a seen one (its references) only notifies when it
+     * ranks higher; extensions and continuations pass quietly.
+     * @param {Array} features - Active alert features from api.weather.gov
+     * @returns {Promise<Array>} The { feature, zones, upgraded } notified
+     */
+    async check(features) {
+        await this.load(true);
+        const { zones, seen } = this.state;
+        if (!zones.length) return [];
+
+        const fresh = [];
+        for (const f of features) {
+            const id = AlertWatch.idOf(f);
+            if (!id || seen[id]) continue;
+            const covered = zones.filter(z => AlertWatch.zonesOf(f).has(z));
+            if (!covered.length) continue;
+
+            const prior = (f.properties.references || []).map(r => seen[r.identifier]).filter(Boolean);
+            this.markSeen(f);
+            const rank = seen[id].rank;
+            if (prior.length && rank <= Math.max(...prior.map(s => s.rank))) continue;
+            fresh.push({ feature: f, zones: covered, upgraded: prior.length > 0 });
+        }
+
+        // Forget ids that are no longer active and long expired
+        const active = new Set(features.map(AlertWatch.idOf));
+        const cutoff = Date.now() - AlertWatch.SEEN_DAYS * 86400000;
+        for (const [id, s] of Object.entries(seen)) {
+            if (!active.has(id) && !(new Date(s.expires).getTime() >= cutoff)) delete seen[id];
+        }
+
+        await this.save();
+        await Promise.all(fresh.map(item => this.notify(item)));
+        return fresh;
+    }
+
+    static get permission() {
+        return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    }
+
+    /** Ask for notification permission; must run from a user gesture */
+    static async requestPermission() {
+        if (AlertWatch.permission !== 'default') return AlertWatch.permission;
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+            return AlertWatch.permission;
+        }
+    }
+
+    async notify({ feature, zones, upgraded }) {
+        if (AlertWatch.permission !== 'granted') return;
+        const p = feature.properties || {};
+        const title = `${p.event || 'Weather alert'}${upgraded ? ' (upgraded)' : ''} - ${zones.join(', ')}`;
+        const options = {
+            body: p.headline || p.areaDesc || '',
+            tag: AlertWatch.idOf(feature),
+            data: { url: './#weather' }
+        };
+        try {
+            // A page can only construct Notification on desktop; the service
+            // worker registration works everywhere it exists
+            const reg = typeof self.registration !== 'undefined' ? self.registration
+                : await navigator.serviceWorker?.getRegistration();
+            if (reg) await reg.showNotification(title, options);
+            else new Notification(title, options);
+        } catch (error) {
+            console.warn('Failed to show alert notification:', error);
+        }
+    }
+
+    /**
+     * Ask the service worker to poll in the background while zones are
+     * watched (Periodic Background Sync: installed PWAs in Chromium only)
+     */
+    async registerSync() {
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+        try {
+            const reg = await navigator.serviceWorker.getRegistration();
+            if (!reg?.periodicSync) return;
+            if (this.zones.length) {
+                await reg.periodicSync.register(AlertWatch.SYNC_TAG, { minInterval: AlertWatch.POLL_MINUTES * 60 * 1000 });
+            } else {
+                await reg.periodicSync.unregister(AlertWatch.SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('Background alert checks unavailable:', error);
+        }
+    }
+}
+
+self.AlertWatch = AlertWatch;
+if (typeof window !== 'undefined') {
+    window.BoatSafe = window.BoatSafe || {};
+    window.BoatSafe.alertWatch = new AlertWatch();
+}
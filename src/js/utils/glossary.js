@@ -0,0 +1,170 @@
+/**
+ * Forecast jargon glossary. Terms and plain-language definitions come from
+ * data/glossary.json (bundled, so it works offline); annotate() marks the
+ * first use of each term in a rendered block, and tapping a marked term
+ * explains it in a small popover.
+ *
+ * Shared as window.BoatSafe.glossary so the forecast and discussion widgets
+ * annotate with the same list.
+ */
+class Glossary {
+    // Text under these is left alone: controls, links, charts, struck-out diff text
+    static SKIP = 'a, button, select, option, textarea, svg, del, .glossary-term';
+
+    constructor() {
+        this.terms = null;                      // key -> { term, aliases, definition }
+        this.lookup = new Map();                // lower-cased phrase -> key
+        this.pattern = null;
+        this.popover = null;
+        this.activeTerm = null;
+        this._loading = null;
+        this.attachEvents();
+    }
+
+    /** Fetch the glossary once; resolves false when it can't be loaded */
+    load() {
+        if (!this._loading) {
+            this._loading = window.BoatSafe.http
+                .get('./data/glossary.json', { cacheTTL: 10080 }) // 7 days
+                .then(g => (typeof g === 'string' ? JSON.parse(g) : g))
+                .then(g => {
+                    this.index(g?.terms || {});
+                    return true;
+                })
+                .catch(err => {
+                    console.warn('Glossary unavailable:', err);
+                    this._loading = null;
+                    return false;
+                });
+        }
+        return this._loading;
+    }
+
+    index(terms) {
+        this.terms = terms;
+        this.lookup.clear();
+        for (const [key, entry] of Object.entries(terms)) {
+            for (const phrase of [key, ...(entry.aliases || [])]) this.lookup.set(phrase.toLowerCase(), key);
+        }
+        // Longest phrases first, so "gale warning" wins over "gale"; any run
+        // of whitespace matches, since product text is hard-wrapped
+        const alternatives = [...this.lookup.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+        this.pattern = alternatives.length ? new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi') : null;
+    }
+
+    /** Glossary entry for a phrase as written in the text */
+    entryFor(phrase) {
+        const key = this.lookup.get(String(phrase).toLowerCase().replace(/\s+/g, ' '));
+        return key ? { key, ...this.terms[key] } : null;
+    }
+
+    /**
+     * Mark the first use of each glossary term inside an element
+     * @param {HTMLElement} root - Rendered forecast or discussion block
+     */
+    async annotate(root) {
+        if (!root || !(await this.load()) || !this.pattern) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement?.closest(Glossary.SKIP)
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        const marked = new Set();
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            const frag = document.createDocumentFragment();
+            let last = 0;
+            this.pattern.lastIndex = 0;
+            for (const m of text.matchAll(this.pattern)) {
+                const entry = this.entryFor(m[0]);
+                if (!entry || marked.has(entry.key)) continue;
+                marked.add(entry.key);
+                frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+                const span = document.createElement('span');
+                span.className = 'glossary-term';
+                span.dataset.term = entry.key;
+                span.tabIndex = 0;
+                span.setAttribute('role', 'button');
+                span.textContent = m[0];
+                frag.appendChild(span);
+                last = m.index + m[0].length;
+            }
+            if (!last) continue;
+            frag.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(frag, node);
+        }
+    }
+
+    attachEvents() {
+        if (typeof document === 'undefined') return;
+        document.addEventListener('click', (e) => {
+            const term = e.target.closest?.('.glossary-term');
+            if (term) this.toggle(term);
+            else if (!e.target.closest?.('.glossary-popover')) this.hide();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { this.hide(); return; }
+            const term = e.target.closest?.('.glossary-term');
+            if (term && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.toggle(term);
+            }
+        });
+    }
+
+    toggle(term) {
+        if (this.activeTerm === term) this.hide();
+        else this.show(term);
+    }
+
+    /** Explain a marked term in the popover under it */
+    show(term) {
+        const entry = this.terms?.[term.dataset.term];
+        if (!entry) return;
+        if (!this.popover) {
+            this.popover = document.createElement('div');
+            this.popover.className = 'glossary-popover';
+            this.popover.id = 'glossary-popover';
+            this.popover.setAttribute('role', 'tooltip');
+            document.body.appendChild(this.popover);
+        }
+        this.hide();
+        this.popover.innerHTML = '';
+        const title = document.createElement('strong');
+        title.textContent = entry.term;
+        const body = document.createElement('span');
+        body.textContent = entry.definition;
+        this.popover.append(title, body);
+        this.popover.hidden = false;
+
+        const rect = term.getBoundingClientRect();
+        const width = Math.min(300, window.innerWidth - 16);
+        const left = Math.min(Math.max(rect.left, 8), window.innerWidth - width - 8);
+        this.popover.style.width = `${width}px`;
+        this.popover.style.left = `${left + window.scrollX}px`;
+        this.popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+
+        term.setAttribute('aria-describedby', 'glossary-popover');
+        term.classList.add('active');
+        this.activeTerm = term;
+    }
+
+    hide() {
+        if (this.popover) this.popover.hidden = true;
+        if (this.activeTerm) {
+            this.activeTerm.removeAttribute('aria-describedby');
+            this.activeTerm.classList.remove('active');
+        }
+        this.activeTerm = null;
+    }
+}
+
+// Global instance
+window.BoatSafe = window.BoatSafe || {};
+window.BoatSafe.glossary = new Glossary();
+window.Glossary = Glossary;
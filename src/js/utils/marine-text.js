@@ -0,0 +1,645 @@
+/**
+ * MarineText - parsers for NWS marine text products (CWF and friends).
+ * Pure string-in, objects-out helpers with no DOM or network access, so any
+ * widget can use them and they can be exercised outside the browser.
+ *
+ * A CWF zone section looks like:
+ *
+ *   PKZ012-200115-
+ *   Northern Lynn Canal-
+ *   419 AM AKDT Sun Oct 19 2026
+ *
+ *   ...SMALL CRAFT ADVISORY TONIGHT...
+ *
+ *   .TODAY...N wind 15 kt. Seas 3 ft. Rain.
+ *   .TONIGHT...N wind 25 kt. Seas 5 ft. Rain.
+ *
+ *   $$
+ */
+class MarineText {
+    static DIRECTIONS = {
+        N: 'North', NE: 'Northeast', E: 'East', SE: 'Southeast',
+        S: 'South', SW: 'Southwest', W: 'West', NW: 'Northwest',
+        VRB: 'Variable'
+    };
+
+    // Marine headline hazards, most severe first. `level` doubles as the CSS
+    // modifier (hazard-<level>) wherever a headline is badged; the icon carries
+    // severity where color can't (native <option> styling on phones).
+    static HAZARDS = [
+        { pattern: /HURRICANE FORCE WIND WARNING|STORM WARNING/i, level: 'storm', rank: 4, icon: '⛔' },
+        { pattern: /WARNING/i, level: 'warning', rank: 3, icon: '⚠' },
+        { pattern: /WATCH/i, level: 'watch', rank: 2, icon: '◆' },
+        { pattern: /ADVISORY/i, level: 'advisory', rank: 1, icon: '▲' }
+    ];
+
+    /**
+     * Classify a headline such as "GALE WARNING TONIGHT". Cancelled or expired
+     * headlines are not active hazards.
+     * @param {string} headline - Headline text without the surrounding dots
+     * @returns {Object|null} { level, rank, icon } or null when not a hazard
+     */
+    static hazardOf(headline) {
+        if (/\b(?:CANCELLED|CANCELED|EXPIRED|HAS ENDED)\b/i.test(headline)) return null;
+        const hazard = MarineText.HAZARDS.find(h => h.pattern.test(headline));
+        return hazard ? { level: hazard.level, rank: hazard.rank, icon: hazard.icon } : null;
+    }
+
+    /**
+     * The most severe active headline in a list, if any.
+     * @param {string[]} headlines - Zone headlines
+     * @returns {Object|null} { text, level, rank, icon }
+     */
+    static worstHeadline(headlines) {
+        let worst = null;
+        for (const text of headlines || []) {
+            const hazard = MarineText.hazardOf(text);
+            if (hazard && (!worst || hazard.rank > worst.rank)) worst = { text, ...hazard };
+        }
+        return worst;
+    }
+
+    /**
+     * Split a full product into its "$$"-terminated segments. Each segment
+     * starts with a UGC line ("PKZ031>033-192330-") naming the zones it covers
+     * and when the segment expires, then the zone name line ("Northern Lynn Canal-").
+     * @param {string} productText - Full CWF product text
+     * @param {string|Date} [issued] - Product issuance, to place the expiration's day in a month
+     * @returns {Array<{zones: string[], name: string, expires: Date|null, headlines: string[], text: string}>}
+     *   Segments with a UGC line
+     */
+    static segments(productText, issued) {
+        const out = [];
+        for (const chunk of String(productText || '').split(/^\$\$.*$/m)) {
+            const lines = chunk.split('\n');
+            const start = lines.findIndex(l => /^[A-Z]{2}Z\d{3}[->]/.test(l.trim()));
+            if (start === -1) continue;
+
+            // The UGC line wraps when a segment covers many zones, possibly
+            // leaving the "DDHHMM-" expiration alone on the last line; the
+            // joined string always ends with "-DDHHMM-".
+            let end = start;
+            let ugc = lines[start].trim();
+            while (end < lines.length - 1 && !/-\d{6}-$/.test(ugc) && /^[A-Z0-9>-]+$/.test(lines[end + 1].trim())) {
+                ugc += lines[++end].trim();
+            }
+
+            // The name can wrap too; it ends with "-"
+            const nameLines = [];
+            for (const l of lines.slice(end + 1, end + 4)) {
+                if (!l.trim()) break;
+                nameLines.push(l.trim());
+                if (l.trim().endsWith('-')) break;
+            }
+            const text = lines.slice(start).join('\n').trim();
+            out.push({
+                zones: MarineText.ugcZones(ugc),
+                name: nameLines.join(' ').replace(/-$/, '').trim(),
+                expires: MarineText.ugcExpiry(ugc, issued),
+                headlines: MarineText.parseZone(text).headlines,
+                text
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Expand a UGC string into zone ids. Codes after the first may drop the
+     * "PKZ" prefix, and ">" marks an inclusive range:
+     * "PKZ031>033-036-PKZ098-192330-" -> PKZ031, PKZ032, PKZ033, PKZ036, PKZ098
+     * @param {string} ugc - UGC line(s), joined
+     * @returns {string[]} Zone ids, in order, without duplicates
+     */
+    static ugcZones(ugc) {
+        const zones = [];
+        let prefix = null;
+        for (const token of String(ugc || '').replace(/\s+/g, '').split('-')) {
+            // Exactly three digits, so the DDHHMM expiration never matches
+            const m = token.match(/^([A-Z]{2}[CZ])?(\d{3})(?:>(\d{3}))?$/);
+            if (!m) continue;
+            if (m[1]) prefix = m[1];
+            if (!prefix) continue;
+            const from = parseInt(m[2], 10);
+            const to = m[3] ? parseInt(m[3], 10) : from;
+            for (let n = from; n <= to; n++) zones.push(prefix + String(n).padStart(3, '0'));
+        }
+        return [...new Set(zones)];
+    }
+
+    /**
+     * The segment expiration at the end of a UGC string ("-192330-": the 19th
+     * at 23:30 UTC). Only day-of-month is given, so the month comes from the
+     * reference time, stepping one month either way across a month boundary.
+     * @param {string} ugc - UGC line(s), joined
+     * @param {string|Date} [reference] - Issuance time; defaults to now
+     * @returns {Date|null} Expiration, or null without a valid "-DDHHMM-"
+     */
+    static ugcExpiry(ugc, reference) {
+        const m = String(ugc || '').match(/-(\d{2})(\d{2})(\d{2})-\s*$/);
+        if (!m) return null;
+        const [day, hour, minute] = m.slice(1).map(Number);
+        if (day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+        const ref = reference ? new Date(reference) : new Date();
+        if (isNaN(ref)) return null;
+        let month = ref.getUTCMonth();
+        if (day < ref.getUTCDate() - 15) month++;        // issued the 31st, expires the 1st
+        else if (day > ref.getUTCDate() + 15) month--;   // reference just after a month turned
+        return new Date(Date.UTC(ref.getUTCFullYear(), month, day, hour, minute));
+    }
+
+    /**
+     * The product segment covering a zone, matched on the expanded UGC zone
+     * list rather than a text search (PKZ032 inside "PKZ031>033-")
+     * @param {string} productText - Full CWF product text
+     * @param {string} zoneId - Zone ID
+     * @param {string|Date} [issued] - Product issuance, see segments()
+     * @returns {Object|null} Segment from segments(), or null if no segment covers the zone
+     */
+    static zoneSegment(productText, zoneId, issued) {
+        return MarineText.segments(productText, issued).find(seg => seg.zones.includes(zoneId)) || null;
+    }
+
+    // UTC offsets (hours) of the zones Alaska products are issued in
+    static TZ_OFFSETS = { AKST: -9, AKDT: -8, HST: -10, HDT: -9, UTC: 0, GMT: 0 };
+    static MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+    /**
+     * Issuance time from a product's own header ("525 AM AKDT Sun Oct 19 2026"),
+     * for raw text that arrives without api.weather.gov's issuanceTime
+     * @param {string} productText - Full product text
+     * @returns {string|null} ISO timestamp, or null if no header line parses
+     */
+    static parseIssuance(productText) {
+        const m = String(productText || '').match(
+            /^(\d{1,2}?)(\d{2}) (AM|PM) ([A-Z]{3,4}) [A-Z]{3} ([A-Z]{3}) (\d{1,2}) (\d{4})\s*$/im);
+        if (!m) return null;
+        const offset = MarineText.TZ_OFFSETS[m[4].toUpperCase()];
+        const month = MarineText.MONTHS.indexOf(m[5].toUpperCase());
+        if (offset === undefined || month === -1) return null;
+        const hour = (parseInt(m[1] || '0', 10) % 12) + (m[3].toUpperCase() === 'PM' ? 12 : 0);
+        const utc = Date.UTC(+m[7], month, +m[6], hour - offset, +m[2]);
+        return new Date(utc).toISOString();
+    }
+
+    /**
+     * The readable body of a statement segment (MWS, SMW): what follows the
+     * segment's issuance line, without the machine-readable LAT...LON and
+     * TIME...MOT...LOC blocks or the "&&" precautionary-actions marker.
+     * @param {string} segmentText - Segment text from segments()
+     * @returns {string} Body text, paragraphs separated by blank lines
+     */
+    static statementBody(segmentText) {
+        const lines = String(segmentText || '').split('\n');
+        const issuedAt = lines.findIndex(l => /^\d{3,4} (AM|PM) [A-Z]{3,4} /i.test(l.trim()));
+        const body = [];
+        let skipping = false;
+        for (const raw of lines.slice(issuedAt + 1)) {
+            const line = raw.trim();
+            if (/^(LAT\.\.\.LON|TIME\.\.\.MOT\.\.\.LOC)/.test(line)) { skipping = true; continue; }
+            if (skipping && /^\d/.test(line)) continue;
+            skipping = false;
+            if (line === '&&' || line.startsWith('$$')) continue;
+            body.push(raw.trimEnd()); // keeps the bullets' continuation indent
+        }
+        return body.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Every zone's headlines in a product, e.g. { PKZ012: ['SMALL CRAFT ADVISORY TONIGHT'] }.
+     * @param {string} productText - Full CWF product text
+     * @returns {Object<string, string[]>} Headlines keyed by zone id
+     */
+    static productHeadlines(productText) {
+        const byZone = {};
+        for (const seg of MarineText.segments(productText)) {
+            for (const zone of seg.zones) byZone[zone] = seg.headlines;
+        }
+        return byZone;
+    }
+
+    /**
+     * Split one zone's forecast text into headlines and forecast periods.
+     * @param {string} zoneText - A single zone section of a CWF product
+     * @returns {{headlines: string[], periods: Array}} Parsed zone forecast
+     */
+    static parseZone(zoneText) {
+        const headlines = [];
+        const periods = [];
+        let current = null;
+        let pending = null; // headline wrapped over several lines
+
+        for (const raw of String(zoneText || '').split('\n')) {
+            const line = raw.trim();
+            if (line.startsWith('$$')) break;
+
+            // "...GALE WARNING TONIGHT..." (never starts with a single dot)
+            if (pending !== null || line.startsWith('...')) {
+                pending = (pending === null ? '' : pending + ' ') + line;
+                if (!line || (pending.length > 3 && pending.endsWith('...'))) {
+                    headlines.push(pending.replace(/^\.\.\.|\.\.\.$/g, '').trim());
+                    pending = null;
+                }
+                current = null;
+                continue;
+            }
+
+            // ".TONIGHT...SE wind 20 kt." starts a new period
+            const start = line.match(/^\.([A-Z][A-Z0-9 ]*?)\.\.\.\s*(.*)$/i);
+            if (start) {
+                current = { name: start[1].trim(), text: start[2].trim() };
+                periods.push(current);
+            } else if (current && line) {
+                current.text += (current.text ? ' ' : '') + line;
+            } else if (!line) {
+                current = null;
+            }
+        }
+
+        return {
+            headlines,
+            periods: periods.map(p => MarineText.parsePeriod(p.name, p.text))
+        };
+    }
+
+    /**
+     * Pull the structured elements out of one period's text. Each sentence is
+     * claimed by at most one element; whatever is left over is the weather.
+     * @param {string} name - Period name, e.g. "TONIGHT" or "SAT NIGHT"
+     * @param {string} text - Period text
+     * @returns {Object} { name, text, wind, waves, swell, visibility, weather }
+     */
+    static parsePeriod(name, text) {
+        const period = {
+            name, text, wind: null, waves: null, swell: null, visibility: null, weather: null
+        };
+        const leftover = [];
+        let gust = null;
+
+        for (const sentence of MarineText.sentences(text)) {
+            if (!period.wind && /\bwinds?\b/i.test(sentence) && /\bkt\b/i.test(sentence)) {
+                period.wind = MarineText.parseWind(sentence);
+            } else if (/^gusts?\b.*\bkt\b/i.test(sentence)) {
+                // "Gusts to 40 kt." as a sentence of its own belongs to the wind
+                const m = sentence.match(/(\d+)\s*kt\b(?!.*\d+\s*kt)/i);
+                if (m) gust = Math.max(gust || 0, parseInt(m[1], 10));
+            } else if (!period.waves && /^(?:combined\s+)?seas\b/i.test(sentence)) {
+                period.waves = MarineText.parseSeas(sentence);
+            } else if (!period.swell && /^swell\b/i.test(sentence)) {
+                period.swell = MarineText.parseSwell(sentence);
+            } else if (/\bvis(?:ibility)?\b/i.test(sentence) && MarineText.parseVisibility(sentence)) {
+                period.visibility = MarineText.parseVisibility(sentence);
+                // "Areas of fog with vis 1 nm or less" is weather too
+                const wx = sentence.replace(/\s*(?:with\s+)?vis(?:ibility)?\b.*$/i, '').trim();
+                if (wx) leftover.push(wx);
+            } else {
+                leftover.push(sentence);
+            }
+        }
+
+        if (gust && period.wind) period.wind.gust = Math.max(period.wind.gust || 0, gust);
+        period.weather = MarineText.parseWeather(leftover);
+        return period;
+    }
+
+    static sentences(text) {
+        return String(text || '')
+            .split(/\.(?:\s+|$)/)
+            .map(s => s.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * "SE wind 15 kt increasing to 25 kt in the afternoon" or
+     * "Variable wind less than 10 kt". Gusts are reported separately and do
+     * not count toward the sustained range.
+     * @param {string} text - Wind sentence
+     * @returns {Object|null} { direction, directionName, speed, maxSpeed, gust, description }
+     */
+    static parseWind(text) {
+        const speeds = [];
+        let gust = null;
+        const re = /(gusts?\s+(?:up\s+)?to\s+)?(\d+)(?:\s+to\s+(\d+))?\s*kt\b/gi;
+        let m;
+        while ((m = re.exec(text))) {
+            const hi = parseInt(m[3] || m[2], 10);
+            if (m[1]) {
+                gust = Math.max(gust || 0, hi);
+            } else {
+                speeds.push(parseInt(m[2], 10), hi);
+            }
+        }
+        if (!speeds.length) return null;
+
+        const dir = text.match(/\b(N|NE|E|SE|S|SW|W|NW|VRB|variable)\b\s+winds?\b/i);
+        let direction = dir ? dir[1].toUpperCase() : (/\bvariable\b/i.test(text) ? 'VRB' : '');
+        if (direction === 'VARIABLE') direction = 'VRB';
+        const speed = Math.min(...speeds);
+        const max = Math.max(...speeds);
+
+        return {
+            direction,
+            directionName: MarineText.DIRECTIONS[direction] || direction,
+            speed,
+            maxSpeed: max > speed ? max : null,
+            gust,
+            description: MarineText.getWindDescription(max)
+        };
+    }
+
+    /**
+     * "Seas 4 ft", "Seas 8 to 10 ft", "Seas 2 ft or less",
+     * "Seas 6 ft building to 10 ft in the afternoon".
+     * @param {string} text - Seas sentence
+     * @returns {Object|null} { height, maxHeight, description }
+     */
+    static parseSeas(text) {
+        const heights = [];
+        const re = /(\d+)(?:\s+to\s+(\d+))?\s*(?:ft|feet)\b/gi;
+        let m;
+        while ((m = re.exec(text))) {
+            heights.push(parseInt(m[1], 10));
+            if (m[2]) heights.push(parseInt(m[2], 10));
+        }
+        if (!heights.length) return null;
+
+        const height = heights[0];
+        const max = Math.max(...heights);
+        return {
+            height,
+            maxHeight: max > height ? max : null,
+            description: MarineText.getWaveDescription(max)
+        };
+    }
+
+    /**
+     * "Swell W 10 ft at 14 seconds"
+     * @param {string} text - Swell sentence
+     * @returns {Object|null} { direction, height, period }
+     */
+    static parseSwell(text) {
+        const m = text.match(/^swell\s+(?:([NSEW]{1,2})\s+)?(\d+)(?:\s+to\s+(\d+))?\s*(?:ft|feet)(?:\s+at\s+(\d+)\s+seconds?)?/i);
+        if (!m) return null;
+        return {
+            direction: m[1] ? m[1].toUpperCase() : '',
+            height: parseInt(m[3] || m[2], 10),
+            period: m[4] ? parseInt(m[4], 10) : null
+        };
+    }
+
+    /**
+     * "Vis 1 nm or less in fog", "visibility 1/2 nm"
+     * @param {string} text - Sentence mentioning visibility
+     * @returns {Object|null} { value (nm), orLess }
+     */
+    static parseVisibility(text) {
+        const m = text.match(/\bvis(?:ibility)?\s+(?:below\s+|less\s+than\s+)?(\d+\/\d+|\d*\.?\d+)\s*(?:nm|nautical\s+miles?|mi(?:les?)?)\b(\s+or\s+less)?/i);
+        if (!m) return null;
+        const [a, b] = m[1].split('/');
+        const value = b ? parseInt(a, 10) / parseInt(b, 10) : parseFloat(a);
+        return { value, orLess: !!m[2] || /\b(?:below|less than)\b/i.test(m[0]) };
+    }
+
+    /**
+     * Whatever a period says besides wind/seas: "Rain", "Freezing spray",
+     * "Patchy fog in the morning".
+     * @param {string[]} sentences - Sentences not claimed by other parsers
+     * @returns {Object|null} { conditions, description }
+     */
+    static parseWeather(sentences) {
+        const conditions = sentences
+            .map(s => s.replace(/\s+/g, ' ').trim())
+            .filter(s => s && !/^\$\$/.test(s));
+        return conditions.length ? {
+            conditions,
+            description: conditions.join(', ')
+        } : null;
+    }
+
+    /**
+     * @param {number} speed - Wind speed in knots
+     * @returns {string} Description
+     */
+    static getWindDescription(speed) {
+        if (speed < 7) return 'Light';
+        if (speed < 17) return 'Moderate';
+        if (speed < 27) return 'Fresh';
+        if (speed < 34) return 'Strong';
+        return 'Gale';
+    }
+
+    /**
+     * @param {number} height - Wave height in feet
+     * @returns {string} Description
+     */
+    static getWaveDescription(height) {
+        if (height < 2) return 'Calm';
+        if (height < 4) return 'Light';
+        if (height < 6) return 'Moderate';
+        if (height < 10) return 'Rough';
+        return 'Very rough';
+    }
+
+    /* ---------------- Period clock times ---------------- */
+
+    static WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+    /**
+     * Turn period names into clock ranges. Forecast days run 6 AM to 6 PM and
+     * nights 6 PM to 6 AM; names are resolved in order from the issuance time,
+     * so "SAT" is the first Saturday on or after the previous period. Each
+     * period ends where the next begins, which makes the single-day extended
+     * periods ("SUN", "MON") a full day long. Times are local to the device,
+     * the same as the tide predictions.
+     * @param {Array} periods - Parsed periods
+     * @param {Date|string} issued - Product issuance time
+     * @returns {Array} { start, end } Dates per period, or null where the name
+     *   isn't a time (e.g. SYNOPSIS)
+     */
+    static periodTimes(periods, issued) {
+        const at = (day, hour) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+        const addDays = (day, n) => new Date(day.getFullYear(), day.getMonth(), day.getDate() + n);
+        // A day period on `day` is 6 AM-6 PM; a night runs 6 PM to 6 AM next morning
+        const span = (day, night) => (night
+            ? { start: at(day, 18), end: at(addDays(day, 1), 6) }
+            : { start: at(day, 6), end: at(day, 18) });
+
+        let cursor = new Date(issued);
+        if (isNaN(cursor)) cursor = new Date();
+
+        const spans = (periods || []).map(p => {
+            const name = p.name.toUpperCase();
+            const night = /NIGHT|EVENING/.test(name);
+            let s = null;
+
+            if (/^(TODAY|REST OF TODAY|THIS AFTERNOON|TONIGHT|REST OF TONIGHT|THIS EVENING|OVERNIGHT)$/.test(name)) {
+                // After midnight "tonight" is still the night that began yesterday
+                const day = night && cursor.getHours() < 6 ? addDays(cursor, -1) : cursor;
+                s = span(day, night);
+            } else {
+                const dow = MarineText.WEEKDAYS.indexOf(name.slice(0, 3));
+                if (dow === -1) return null;
+                for (let d = -1; d < 8 && !s; d++) {
+                    const day = addDays(cursor, d);
+                    if (day.getDay() !== dow) continue;
+                    const candidate = span(day, night);
+                    if (candidate.end > cursor) s = candidate;
+                }
+                if (!s) return null;
+                const through = name.match(/THROUGH\s+([A-Z]{3})/);
+                if (through) {
+                    // "TUE THROUGH THU": to the morning after the last named day
+                    const last = MarineText.WEEKDAYS.indexOf(through[1]);
+                    let day = addDays(s.start, 1);
+                    while (day.getDay() !== (last + 1) % 7) day = addDays(day, 1);
+                    s.end = at(day, 6);
+                }
+            }
+            if (s.start < cursor) s.start = cursor;
+            cursor = s.start;
+            return { ...s, night };
+        });
+
+        // Extended periods name single days with no night in between; let
+        // each run to the next period (the last one a full day, like the rest)
+        return spans.map((s, i) => {
+            if (!s) return null;
+            const later = spans.slice(i + 1).filter(Boolean);
+            const earlier = spans.slice(0, i).filter(Boolean);
+            let end = s.end;
+            if (later.length && later[0].start > end) {
+                end = later[0].start;
+            } else if (!later.length && !s.night && earlier.length && !earlier[earlier.length - 1].night
+                && end.getHours() === 18) {
+                end = at(addDays(s.start, 1), 6);
+            }
+            return { start: s.start, end };
+        });
+    }
+
+    /* ---------------- Severity ---------------- */
+
+    static SEVERITY_LABELS = ['Calm', 'Moderate', 'Small craft', 'Gale', 'Storm'];
+
+    static maxWind(period) {
+        return period?.wind ? (period.wind.maxSpeed || period.wind.speed) : 0;
+    }
+
+    static maxSeas(period) {
+        return period?.waves ? (period.waves.maxHeight || period.waves.height) : 0;
+    }
+
+    /**
+     * Rough severity of one period from its sustained wind and seas, using the
+     * Alaska Region thresholds: small craft advisory at 23 kt or 8 ft seas,
+     * gale at 34 kt, storm at 48 kt.
+     * @param {Object} period - Parsed period
+     * @returns {number} 0 (calm) to 4 (storm); index into SEVERITY_LABELS
+     */
+    static periodSeverity(period) {
+        const wind = MarineText.maxWind(period);
+        const seas = MarineText.maxSeas(period);
+        if (wind >= 48) return 4;
+        if (wind >= 34) return 3;
+        if (wind >= 23 || seas >= 8) return 2;
+        if (wind >= 15 || seas >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * The roughest of a list of periods: highest severity, then wind, then seas.
+     * @param {Array} periods - Parsed periods
+     * @returns {Object|null} The worst period
+     */
+    static worstPeriod(periods) {
+        const score = p => [MarineText.periodSeverity(p), MarineText.maxWind(p), MarineText.maxSeas(p)];
+        let worst = null, worstScore = null;
+        for (const p of periods || []) {
+            const sc = score(p);
+            const i = worstScore ? sc.findIndex((v, k) => v !== worstScore[k]) : 0;
+            if (!worstScore || (i !== -1 && sc[i] > worstScore[i])) {
+                worst = p;
+                worstScore = sc;
+            }
+        }
+        return worst;
+    }
+
+    /* ---------------- Short descriptions (diffs, exports) ---------------- */
+
+    static describeWind(wind) {
+        if (!wind) return '';
+        const range = `${wind.speed}${wind.maxSpeed ? ' to ' + wind.maxSpeed : ''} kt`;
+        return `${wind.direction ? wind.direction + ' ' : ''}${range}${wind.gust ? `, gusts ${wind.gust} kt` : ''}`;
+    }
+
+    static describeSeas(waves) {
+        if (!waves) return '';
+        return `${waves.height}${waves.maxHeight ? ' to ' + waves.maxHeight : ''} ft`;
+    }
+
+    static describeSwell(swell) {
+        if (!swell) return '';
+        return `${swell.direction ? swell.direction + ' ' : ''}${swell.height} ft${swell.period ? ` at ${swell.period} s` : ''}`;
+    }
+
+    static describeVisibility(vis) {
+        if (!vis) return '';
+        return `${vis.value} nm${vis.orLess ? ' or less' : ''}`;
+    }
+
+    /**
+     * Period-by-period changes between two issuances of one zone's forecast.
+     * Periods are matched by name ("TONIGHT", "MON NIGHT"); periods that only
+     * exist in one issuance have nothing to compare and are skipped.
+     * @param {string} prevText - Zone text from the earlier issuance
+     * @param {string} curText - Zone text from the newer issuance
+     * @returns {Object} { headlines: { added, removed }, periods: [{ name, changes }] }
+     */
+    static diffZone(prevText, curText) {
+        const prev = MarineText.parseZone(prevText);
+        const cur = MarineText.parseZone(curText);
+        const fields = [
+            ['wind', '', MarineText.describeWind],
+            ['waves', 'seas', MarineText.describeSeas],
+            ['swell', 'swell', MarineText.describeSwell],
+            ['visibility', 'vis', MarineText.describeVisibility],
+            ['weather', '', w => (w ? w.description : '')]
+        ];
+
+        const before = new Map(prev.periods.map(p => [p.name, p]));
+        const periods = [];
+        for (const period of cur.periods) {
+            const old = before.get(period.name);
+            if (!old) continue;
+            const changes = [];
+            for (const [field, label, describe] of fields) {
+                const from = describe(old[field]);
+                const to = describe(period[field]);
+                if (from !== to) changes.push({ field, label, from, to });
+            }
+            // Wording-only edits the parsers can't see still count as a change
+            if (!changes.length && old.text !== period.text) {
+                changes.push({ field: 'text', label: '', from: old.text, to: period.text });
+            }
+            if (changes.length) periods.push({ name: period.name, changes });
+        }
+
+        return {
+            headlines: {
+                added: cur.headlines.filter(h => !prev.headlines.includes(h)),
+                removed: prev.headlines.filter(h => !cur.headlines.includes(h))
+            },
+            periods
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MarineText = MarineText;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarineText;
+}
@@ -0,0 +1,168 @@
+/**
+ * Vessel go/no-go limits. Each user keeps one or more vessel profiles (a
+ * skiff and a 58-footer tolerate very different conditions); the active
+ * profile's limits score forecast periods as go, caution or no-go.
+ *
+ * Shared as window.BoatSafe.vessel so any widget can evaluate periods with
+ * the same limits. Widgets that show verdicts subscribe() to re-render when
+ * limits change; the forecast summary also publishes its latest verdicts as
+ * a "boatsafe:gonogo" event on document (and in lastAssessment).
+ */
+class VesselLimits {
+    static STORAGE_KEY = 'boatsafe_vessels';
+
+    // A limit within this fraction of being reached is a caution
+    static CAUTION_MARGIN = 0.2;
+
+    // null means "no limit" for that element
+    static DEFAULT_PROFILE = { name: 'My boat', wind: 20, gust: 25, seas: 4, visibility: 1 };
+
+    static FIELDS = [
+        { key: 'wind', label: 'Max sustained wind', unit: 'kt' },
+        { key: 'gust', label: 'Max gust', unit: 'kt' },
+        { key: 'seas', label: 'Max seas', unit: 'ft' },
+        { key: 'visibility', label: 'Min visibility', unit: 'nm' }
+    ];
+
+    constructor() {
+        this.profiles = [];
+        this.activeIndex = 0;
+        this.listeners = [];
+        this.lastAssessment = null;
+        this.load();
+    }
+
+    get active() {
+        return this.profiles[this.activeIndex] || this.profiles[0];
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VesselLimits.STORAGE_KEY));
+            if (saved && Array.isArray(saved.profiles) && saved.profiles.length) {
+                this.profiles = saved.profiles;
+                this.activeIndex = Math.min(saved.active || 0, saved.profiles.length - 1);
+                return;
+            }
+        } catch (error) {
+            console.warn('Failed to load vessel limits:', error);
+        }
+        this.profiles = [{ ...VesselLimits.DEFAULT_PROFILE }];
+        this.activeIndex = 0;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(VesselLimits.STORAGE_KEY,
+                JSON.stringify({ profiles: this.profiles, active: this.activeIndex }));
+        } catch (error) {
+            console.warn('Failed to save vessel limits:', error);
+        }
+        this.listeners.forEach(fn => fn(this.active));
+    }
+
+    /** @param {Function} fn - Called with the active profile whenever limits change */
+    subscribe(fn) {
+        this.listeners.push(fn);
+    }
+
+    setActive(index) {
+        if (!this.profiles[index]) return;
+        this.activeIndex = index;
+        this.save();
+    }
+
+    /** Replace the active profile's name/limits (blank limits become null) */
+    update(profile) {
+        const clean = { name: String(profile.name || '').trim() || 'Unnamed vessel' };
+        for (const { key } of VesselLimits.FIELDS) {
+            const v = parseFloat(profile[key]);
+            clean[key] = Number.isFinite(v) && v > 0 ? v : null;
+        }
+        this.profiles[this.activeIndex] = clean;
+        this.save();
+    }
+
+    add(name) {
+        this.profiles.push({ ...this.active, name });
+        this.activeIndex = this.profiles.length - 1;
+        this.save();
+    }
+
+    remove() {
+        if (this.profiles.length < 2) return;
+        this.profiles.splice(this.activeIndex, 1);
+        this.activeIndex = Math.max(0, this.activeIndex - 1);
+        this.save();
+    }
+
+    /**
+     * Score one parsed forecast period against a vessel's limits
+     * @param {Object} period - Period from MarineText.parsePeriod
+     * @param {Object} [limits] - Vessel profile; defaults to the active one
+     * @returns {Object|null} { status: 'go'|'caution'|'no-go', reasons: string[] },
+     *   or null when the period carries no wind or seas (e.g. SYNOPSIS)
+     */
+    evaluate(period, limits = this.active) {
+        if (!period || !(period.wind || period.waves)) return null;
+        const noGo = [], caution = [];
+        const near = (value, limit) => value >= limit * (1 - VesselLimits.CAUTION_MARGIN);
+
+        // Upper limits: the top of a forecast range is what has to be survivable
+        const checks = [
+            ['wind', 'wind', period.wind ? MarineText.maxWind(period) : null, 'kt'],
+            ['gust', 'gusts', period.wind?.gust || null, 'kt'],
+            ['seas', 'seas', period.waves ? MarineText.maxSeas(period) : null, 'ft']
+        ];
+        for (const [key, label, value, unit] of checks) {
+            const limit = limits[key];
+            if (value === null || !limit) continue;
+            if (value > limit) noGo.push(`${label} ${value} ${unit} > ${limit} ${unit} limit`);
+            else if (near(value, limit)) {
+                caution.push(`${label} ${value} ${unit}, ${value === limit ? 'at' : 'near'} ${limit} ${unit} limit`);
+            }
+        }
+
+        // Lower limit: "vis 1 nm or less" may well be under a 1 nm minimum
+        const vis = period.visibility;
+        if (vis && limits.visibility) {
+            if (vis.value < limits.visibility) {
+                noGo.push(`vis ${vis.value} nm < ${limits.visibility} nm minimum`);
+            } else if (vis.orLess && vis.value <= limits.visibility * (1 + VesselLimits.CAUTION_MARGIN)) {
+                caution.push(`vis ${vis.value} nm or less, ${limits.visibility} nm minimum`);
+            }
+        }
+
+        if (noGo.length) return { status: 'no-go', reasons: noGo };
+        if (caution.length) return { status: 'caution', reasons: caution };
+        return { status: 'go', reasons: [] };
+    }
+
+    /**
+     * Score a list of periods with the active profile
+     * @param {Array} periods - Parsed periods
+     * @returns {Array} { name, status, reasons } per scorable period
+     */
+    assess(periods) {
+        return (periods || [])
+            .map(p => ({ name: p.name, ...this.evaluate(p) }))
+            .filter(r => r.status);
+    }
+
+    /**
+     * Record and broadcast the verdicts for the zone on screen
+     * @param {string} zoneId - Zone ID
+     * @param {Array} results - From assess()
+     */
+    publish(zoneId, results) {
+        this.lastAssessment = { zoneId, vessel: this.active.name, periods: results };
+        if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+            document.dispatchEvent(new CustomEvent('boatsafe:gonogo', { detail: this.lastAssessment }));
+        }
+    }
+}
+
+// Global instance
+window.BoatSafe = window.BoatSafe || {};
+window.BoatSafe.vessel = new VesselLimits();
+window.VesselLimits = VesselLimits;
@@ -1,12 +1,20 @@
 /**
  * Coastal Forecast Widget
+ * Land-zone (AKZ) forecasts for coastal communities, grouped by region like
+ * the marine widget. Zone lists come from data/coastal-stations.json, built
+ * by scripts/make-ak-coastal-zones.js; a region the generator left empty is
+ * not offered, and the region buttons only show once there are two.
  */
 class CoastalForecast {
+    static TEMP_LABELS = { high: 'High', low: 'Low', steady: 'Steady' };
+
     constructor() {
         this.container = document.getElementById('coastal-forecast');
         this.content = this.container.querySelector('.coastal-forecast-content');
         this.toggleButton = document.getElementById('coastal-toggle');
         this.isExpanded = true;
+        this.regionBtns = this.container.querySelector('.coastal-region-btns');
+        this.regionLabel = this.container.querySelector('.coastal-region-label');
         this.locationBtns = this.container.querySelector('.coastal-location-btns');
         this.forecastDisplay = this.container.querySelector('.coastal-forecast-display');
         this.currentData = null;
@@ -54,27 +62,76 @@ class CoastalForecast {
     }
 
     /**
-     * Auto-select the (single) region and populate the location dropdown.
-     * There's only one region now, so no region picker is shown.
+     * Render the region buttons and restore the saved region and location
+     * (Southeast, the original and only region, when nothing is saved)
      */
-    initRegion() {
-        const ids = Object.keys(this.stations?.regions || {});
-        if (ids.length === 0) return;
+    async initRegion() {
+        const ids = Object.keys(this.regions());
+        if (ids.length === 0) {
+            this.showError('No coastal zones in coastal-stations.json');
+            return;
+        }
 
-        this.currentRegion = ids[0];
-        this.renderLocationButtons();
-        this.showLoading('Select a location to view forecast');
+        this.renderRegionButtons();
+        let regionId = ids[0];
+        let saved = null;
+        try {
+            const savedRegion = localStorage.getItem('boatsafe_coastal_region');
+            if (savedRegion && ids.includes(savedRegion)) regionId = savedRegion;
+            saved = localStorage.getItem('boatsafe_coastal_location');
+        } catch (error) {
+            console.warn('Failed to restore coastal location:', error);
+        }
 
+        await this.selectRegion(regionId);
         // Restore saved location, if it's still a valid zone
+        if (saved && this.stations.regions[this.currentRegion].zones[saved]) {
+            this.setActiveLocationBtn(saved);
+            this.selectLocation(saved);
+        }
+    }
+
+    /** Regions with a generated zone list */
+    regions() {
+        return Object.fromEntries(Object.entries(this.stations?.regions || {})
+            .filter(([, region]) => Object.keys(region.zones || {}).length));
+    }
+
+    renderRegionButtons() {
+        if (!this.regionBtns) return;
+        const regions = Object.entries(this.regions());
+        this.regionBtns.hidden = regions.length < 2;
+        if (this.regionLabel) this.regionLabel.hidden = regions.length < 2;
+        this.regionBtns.innerHTML = '';
+        regions.forEach(([id, region]) => {
+            const btn = document.createElement('button');
+            btn.className = 'map-region-btn';
+            btn.dataset.value = id;
+            btn.textContent = region.name;
+            this.regionBtns.appendChild(btn);
+        });
+    }
+
+    /**
+     * Switch region and list its zones
+     * @param {string} regionId - coastal-stations.json region id
+     */
+    async selectRegion(regionId) {
+        const region = this.regions()[regionId];
+        if (!region) return;
+        this.currentRegion = regionId;
+        if (this.regionBtns) {
+            this.regionBtns.querySelectorAll('.map-region-btn')
+                .forEach(b => b.classList.toggle('active', b.dataset.value === regionId));
+        }
         try {
-            const saved = localStorage.getItem('boatsafe_coastal_location');
-            if (saved && this.stations.regions[this.currentRegion].zones[saved]) {
-                this.setActiveLocationBtn(saved);
-                this.selectLocation(saved);
-            }
+            localStorage.setItem('boatsafe_coastal_region', regionId);
         } catch (error) {
-            console.warn('Failed to restore coastal location:', error);
+            console.warn('Failed to save coastal region:', error);
         }
+
+        this.renderLocationButtons();
+        this.showLoading('Select a location to view forecast');
     }
 
     /**
@@ -116,6 +173,13 @@ class CoastalForecast {
      * Set up event listeners
      */
     setupEventListeners() {
+        if (this.regionBtns) {
+            this.regionBtns.addEventListener('click', (e) => {
+                const btn = e.target.closest('.map-region-btn');
+                if (btn) this.selectRegion(btn.dataset.value);
+            });
+        }
+
         if (this.locationBtns) {
             this.locationBtns.addEventListener('click', (e) => {
                 const btn = e.target.closest('.map-region-btn');
@@ -141,8 +205,7 @@ class CoastalForecast {
 
         try {
             // Structured land-zone forecast straight from api.weather.gov
-            // (CORS-enabled). Returns proper day/night periods; flatten them to
-            // text for the existing <pre> renderer.
+            // (CORS-enabled), with proper day/night periods
             const res = await window.BoatSafe.http.get(
                 `https://api.weather.gov/zones/forecast/${encodeURIComponent(zoneId)}/forecast`,
                 { cacheTTL: 30 });
@@ -151,14 +214,10 @@ class CoastalForecast {
             const periods = props.periods || [];
             if (!periods.length) throw new Error('No forecast periods available');
 
-            const text = periods
-                .map(p => `${p.name}\n${p.detailedForecast}`)
-                .join('\n\n');
-
             this.currentData = {
                 properties: {
                     updated: props.updated || new Date().toISOString(),
-                    periods: [{ name: 'Coastal Forecast', detailedForecast: text }]
+                    periods
                 }
             };
             this.renderZoneForecast(zoneId);
@@ -168,6 +227,7 @@ class CoastalForecast {
             } catch (error) {
                 console.warn('Failed to save location preference:', error);
             }
+            window.BoatSafe.app?.widgets?.weather?.zonesChanged();
         } catch (error) {
             console.error('Failed to load coastal forecast:', error);
             this.showError(`Failed to load coastal forecast for ${zoneId}: ${error.message}`);
@@ -217,20 +277,27 @@ class CoastalForecast {
             return;
         }
 
-        const fullText = this.currentData.properties.periods[0].detailedForecast;
+        const periods = this.currentData.properties.periods;
+        const fullText = periods.map(p => `${p.name}\n${p.detailedForecast}`).join('\n\n');
         const zoneName = this.stations?.regions[this.currentRegion]?.zones[zoneId] || zoneId;
         
         // Streamlined for low bandwidth - minimal HTML matching forecast-summary pattern
         const html = `
             <div class="forecast-header">
-                <strong>${zoneId} - ${zoneName}</strong>
+                <strong>${this.esc(zoneId)} - ${this.esc(zoneName)}</strong>
                 <div class="forecast-meta">
                     <small>NOAA Update: ${this.formatDate(new Date(this.currentData.properties.updated))}</small>
-                    <a href="https://forecast.weather.gov/MapClick.php?zoneid=${zoneId}" target="_blank" rel="noopener" class="noaa-link">View NOAA Dataset →</a>
+                    <a href="https://forecast.weather.gov/MapClick.php?zoneid=${encodeURIComponent(zoneId)}" target="_blank" rel="noopener" class="noaa-link">View NOAA Dataset →</a>
                 </div>
             </div>
             <div class="zone-forecast">
-                <pre class="forecast-text">${fullText}</pre>
+                <div class="forecast-periods period-cards">
+                    ${periods.map(p => this.renderPeriod(CoastalForecast.parsePeriod(p))).join('')}
+                </div>
+                <details class="forecast-raw">
+                    <summary>Full NOAA text</summary>
+                    <pre class="forecast-text">${this.esc(fullText)}</pre>
+                </details>
             </div>
         `;
 
@@ -241,6 +308,83 @@ class CoastalForecast {
         }
     }
 
+    /**
+     * Pull the headline numbers out of a land-zone period. The API gives
+     * only name and detailedForecast, so temperature, wind and precipitation
+     * are read from the sentences NWS writes, e.g. "Highs in the upper 40s.
+     * Southeast wind 10 to 20 mph. Chance of rain 70 percent."
+     * @param {Object} period - API period { name, detailedForecast, isDaytime? }
+     * @returns {Object} { name, night, sky, temp: { kind: 'high'|'low'|'steady', value }, wind, precip, text }
+     */
+    static parsePeriod(period) {
+        const text = String(period.detailedForecast || '').trim();
+        const sentences = text.split(/\.\s+|\.$/).map(s => s.trim()).filter(Boolean);
+        const night = typeof period.isDaytime === 'boolean'
+            ? !period.isDaytime
+            : /night|tonight/i.test(period.name || '');
+
+        let temp = null, wind = null, chance = null, sky = null;
+        const weather = [];
+        for (const s of sentences) {
+            let m;
+            if (!temp && (m = s.match(/^(highs?|lows?)\s+(?:in the\s+)?(.+)$/i))) {
+                temp = { kind: /^h/i.test(m[1]) ? 'high' : 'low', value: m[2] };
+            } else if (!temp && (m = s.match(/steady temperatures?\s+(?:in the\s+)?(.+)$/i))) {
+                temp = { kind: 'steady', value: m[1] };
+            } else if (!wind && /^((north|south|east|west)(east|west)?|variable|light)\s+winds?\b/i.test(s)) {
+                wind = s;
+            } else if ((m = s.match(/^chance of .+?(\d+)\s*percent$/i))) {
+                chance = parseInt(m[1], 10);
+            } else if (/\b(rain|snow|showers|drizzle|sleet|flurries|freezing|precipitation|thunderstorms?)\b/i.test(s)) {
+                weather.push(s);
+            } else if (!sky && !temp && !wind) {
+                sky = s;
+            }
+        }
+
+        return {
+            name: period.name || '',
+            night,
+            sky,
+            temp,
+            wind,
+            precip: chance !== null || weather.length ? { chance, text: weather.join('. ') } : null,
+            text
+        };
+    }
+
+    /**
+     * Render one day or night period as a card
+     * @param {Object} period - From parsePeriod
+     * @returns {string} HTML string
+     */
+    renderPeriod(period) {
+        const { name, night, sky, temp, wind, precip } = period;
+        const structured = temp || wind || precip;
+
+        return `
+            <div class="forecast-period period-card coastal-period ${night ? 'night' : 'day'}">
+                <div class="period-name"><span class="period-icon" aria-hidden="true">${night ? '\u263E' : '\u2600'}</span>${this.esc(name)}</div>
+                ${temp ? `<div class="period-temp temp-${temp.kind}">
+                    <span class="temp-label">${CoastalForecast.TEMP_LABELS[temp.kind]}</span>
+                    <span class="temp-value">${this.esc(temp.value)}${/\d$/.test(temp.value) ? '&deg;F' : ''}</span>
+                </div>` : ''}
+                ${sky ? `<div class="weather-conditions">${this.esc(sky)}</div>` : ''}
+                ${wind ? `<div class="period-wind">${this.esc(wind)}</div>` : ''}
+                ${precip ? `<div class="period-precip">
+                    ${precip.chance !== null ? `<span class="precip-chance">${precip.chance}%</span>` : ''}
+                    ${this.esc(precip.text)}
+                </div>` : ''}
+                ${structured ? '' : `<div class="period-text">${this.esc(period.text)}</div>`}
+            </div>
+        `;
+    }
+
+    esc(s) {
+        return String(s).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
     /**
      * Format date for display
      * @param {Date} date - Date object
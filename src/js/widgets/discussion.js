@@ -1,7 +1,45 @@
 /**
  * Discussion Widget - Area Forecast Discussion
+ * The AFD is split on its own markers (".SYNOPSIS...", ".MARINE...", "&&",
+ * "$$") into collapsible sections with a contents bar; MARINE comes first
+ * and open, and the watches/warnings list is shown as chips.
+ *
+ * The office's recent AFDs can be browsed, and any one compared with an
+ * earlier issuance: each section shows a word diff and how the stated
+ * forecaster confidence moved.
+ *
+ * Marine hazards in the text (gales, small craft advisories, outflow) are
+ * highlighted, and waters named in zones.json ("Lynn Canal") link to that
+ * zone's forecast in the marine forecast widget.
  */
 class Discussion {
+    static HAZARD_SECTION = /WATCHES\/WARNINGS\/ADVISORIES/;
+
+    // Hazard phrases highlighted in the text, with the alert palette's levels
+    static MARINE_HAZARDS = [
+        { pattern: /^hurricane[\s-]+force/i, level: 'storm' },
+        { pattern: /^storm(?:[\s-]+force|\s+warning)/i, level: 'storm' },
+        { pattern: /^(?:gales?|heavy\s+freezing\s+spray)/i, level: 'warning' },
+        { pattern: /./, level: 'advisory' }
+    ];
+    static HAZARD_PHRASES = [
+        'hurricane[\\s-]+force(?:\\s+winds?)?',
+        'storm[\\s-]+force(?:\\s+winds?)?', 'storm\\s+warnings?',
+        'gale[\\s-]+force(?:\\s+winds?)?', 'gale\\s+warnings?', 'gales?',
+        'heavy\\s+freezing\\s+spray', 'freezing\\s+spray',
+        'small\\s+craft\\s+(?:advisory|advisories|winds?|conditions|seas)',
+        'outflow(?:\\s+winds?)?', 'gap\\s+winds?', 'williwaws?', 'taku\\s+winds?'
+    ];
+
+    // "Northern Lynn Canal" is usually just "Lynn Canal" in a discussion
+    static PLACE_QUALIFIER = /^(?:central\s+and\s+eastern|northern|southern|eastern|western|northwest|northeast|southwest|southeast|central|inner|outer|upper|lower)\s+|\s+(?:north|south|east|west)$/i;
+
+    // Recent issuances offered in the history picker
+    static HISTORY_COUNT = 8;
+
+    // "Confidence is high", "confidence remains below average", "low confidence"
+    static CONFIDENCE = /\b(?:confidence\s+(?:is|remains|was|has\s+been|continues\s+to\s+be)?\s*(?:fairly\s+|very\s+|rather\s+)?(high|low|moderate|medium|good|average|above\s+average|below\s+average|increasing|decreasing|improving)|(high|low|moderate|medium|good|above\s+average|below\s+average|average)\s+confidence)\b/i;
+
     constructor() {
         this.container = document.getElementById('discussion');
         this.content = this.container.querySelector('.discussion-content');
@@ -10,6 +48,8 @@ class Discussion {
         this.discussionDisplay = this.container.querySelector('.discussion-display');
         this.currentData = null;
         this.currentOffice = null;
+        this.history = [];                      // [{ id, issued }], newest first
+        this.compareData = null;                // earlier issuance { id, text, issued }
         this.isExpanded = false;
         
         this.init();
@@ -21,6 +61,9 @@ class Discussion {
     async init() {
         this.setupToggleButton();
         this.setupRegionSelector();
+        this.setupSectionNav();
+        this.setupHistoryPicker();
+        this.setupZoneLinks();
         
         // Default to collapsed state, don't auto-load discussion
         this.content.style.display = 'none';
@@ -56,6 +99,50 @@ class Discussion {
         });
     }
 
+    /**
+     * Contents bar: open the chosen section and scroll to it
+     */
+    setupSectionNav() {
+        const content = this.discussionDisplay || this.content;
+        content.addEventListener('click', (e) => {
+            const btn = e.target.closest('.afd-toc-btn');
+            if (!btn) return;
+            const section = content.querySelector(`.afd-section[data-section="${btn.dataset.section}"]`);
+            if (!section) return;
+            section.open = true;
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    /**
+     * Place-name links open that zone in the marine forecast widget
+     */
+    setupZoneLinks() {
+        const content = this.discussionDisplay || this.content;
+        content.addEventListener('click', (e) => {
+            const link = e.target.closest('.afd-zone-link');
+            if (!link) return;
+            e.preventDefault();
+            const summary = window.BoatSafe.app?.widgets?.forecastSummary;
+            if (!summary) return;
+            summary.selectZoneFromMap(link.dataset.zone);
+            summary.container?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    /**
+     * Issuance and compare-with pickers
+     */
+    setupHistoryPicker() {
+        const content = this.discussionDisplay || this.content;
+        content.addEventListener('change', (e) => {
+            const issuance = content.querySelector('.afd-history');
+            const compare = content.querySelector('.afd-compare');
+            if (e.target !== issuance && e.target !== compare) return;
+            this.showIssuance(issuance.value, compare.value || null);
+        });
+    }
+
     setActiveRegionBtn(value) {
         if (!this.regionBtns) return;
         this.regionBtns.querySelectorAll('.map-region-btn')
@@ -186,24 +273,60 @@ class Discussion {
                     { cacheTTL: 30 }));
             const graph = (list && (list['@graph'] || list.features)) || [];
             if (!graph.length) throw new Error('No discussion products available');
-            const latestId = graph[0].id || graph[0]['@id'];
+            this.history = graph.slice(0, Discussion.HISTORY_COUNT)
+                .map(g => ({ id: g.id || g['@id'], issued: g.issuanceTime }));
 
             // Step 2: fetch the latest product's text.
-            const product = Discussion.parseJson(
-                await window.BoatSafe.http.get(
-                    `https://api.weather.gov/products/${latestId}`, { cacheTTL: 30 }));
+            await this.showIssuance(this.history[0].id, null);
+        } catch (error) {
+            console.error('Failed to load forecast discussion:', error);
+            this.showError(`Unable to load forecast discussion for ${this.getOfficeName(office)}`);
+        }
+    }
+
+    /**
+     * Fetch one AFD by product id. Issued products never change, so they
+     * can stay cached for a day.
+     * @param {string} id - Product id
+     * @returns {Promise<Object>} { id, text, issued }
+     */
+    async fetchProduct(id) {
+        const product = Discussion.parseJson(
+            await window.BoatSafe.http.get(
+                `https://api.weather.gov/products/${encodeURIComponent(id)}`, { cacheTTL: 1440 }));
+        return { id, text: product.productText || '', issued: product.issuanceTime };
+    }
+
+    /**
+     * Show an issuance from the history, optionally compared with an older one
+     * @param {string} id - Product id to show
+     * @param {string|null} compareId - Earlier product id, or null for no diff
+     */
+    async showIssuance(id, compareId) {
+        const office = this.currentOffice;
+        // Only an earlier issuance can be compared with
+        const order = hid => this.history.findIndex(h => h.id === hid);
+        if (compareId && order(compareId) <= order(id)) compareId = null;
+        try {
+            const [product, previous] = await Promise.all([
+                this.fetchProduct(id),
+                compareId ? this.fetchProduct(compareId) : null
+            ]);
+            if (office !== this.currentOffice) return;
 
             this.currentData = {
                 properties: {
+                    id,
                     office,
                     officeName: this.getOfficeName(office),
-                    text: product.productText || '',
-                    updated: product.issuanceTime,
-                    issuedTime: product.issuanceTime
-                        ? this.formatDate(new Date(product.issuanceTime))
+                    text: product.text,
+                    updated: product.issued,
+                    issuedTime: product.issued
+                        ? this.formatDate(new Date(product.issued))
                         : null
                 }
             };
+            this.compareData = previous;
             this.render();
         } catch (error) {
             console.error('Failed to load forecast discussion:', error);
@@ -256,11 +379,15 @@ class Discussion {
     /**
      * Render the discussion
      */
-    render() {
+    async render() {
         if (!this.currentData || !this.currentData.properties) {
             this.showLoading();
             return;
         }
+        // Zone names are marked along with the hazards in highlight()
+        const { currentData, compareData } = this;
+        await this.loadPlaces();
+        if (currentData !== this.currentData || compareData !== this.compareData) return;
 
         const { properties } = this.currentData;
         const { office, officeName, text, updated, issuedTime } = properties;
@@ -270,6 +397,11 @@ class Discussion {
             return;
         }
 
+        const { sections, hazards } = Discussion.parseSections(text);
+        const previous = this.compareData
+            ? new Map(Discussion.parseSections(this.compareData.text).sections.map(sec => [sec.title, sec]))
+            : null;
+
         const html = `
             <div class="forecast-period">
                 <div class="period-header">
@@ -279,14 +411,374 @@ class Discussion {
                         <a href="https://www.weather.gov/ajk/MarineForecasts" target="_blank" rel="noopener" class="noaa-link">View NOAA Dataset →</a>
                     </div>
                 </div>
-                <div class="forecast-text">
-                    ${this.formatText(text)}
-                </div>
+                ${this.renderHistory(properties.id)}
+                ${sections.length ? `
+                    ${this.renderHazards(hazards)}
+                    <nav class="map-controls afd-toc" aria-label="Discussion sections">
+                        ${sections.map(sec => `<button type="button" class="map-region-btn afd-toc-btn" data-section="${sec.id}">${this.esc(Discussion.sectionName(sec.title))}</button>`).join('')}
+                    </nav>
+                    ${sections.map(sec => this.renderSection(sec, previous)).join('')}
+                    <details class="forecast-raw">
+                        <summary>Full NOAA text</summary>
+                        <pre class="forecast-text">${this.esc(text)}</pre>
+                    </details>
+                ` : `
+                    <div class="forecast-text">
+                        ${this.formatText(text)}
+                    </div>
+                `}
             </div>
         `;
 
         const content = this.discussionDisplay || this.content;
         content.innerHTML = html;
+        // Hazards and zone links in the compared sections (the others got
+        // theirs in highlight()), and tap-to-explain jargon; the raw product
+        // text stays as issued
+        content.querySelectorAll('.afd-section .forecast-text, .forecast-period > .forecast-text').forEach(el => {
+            if (el.classList.contains('afd-diff')) this.markMarine(el);
+            window.BoatSafe.glossary?.annotate(el);
+        });
+    }
+
+    /**
+     * Index zones.json zone names as the phrases a discussion would use.
+     * Coastal stretches ("Cape Decision to Cape Edgecumbe out to 15 NM")
+     * aren't how forecasters name waters, so only single places are kept.
+     * Reuses the marine widget's copy of zones.json when it has one.
+     * @returns {Promise<Map>} lower-cased phrase -> { ids, names }
+     */
+    async loadPlaces() {
+        if (this.places) return this.places;
+        let zones = window.BoatSafe.app?.widgets?.forecastSummary?.zones;
+        try {
+            if (!zones) zones = Discussion.parseJson(await window.BoatSafe.http.get('./data/zones.json', { cacheTTL: 1440 }));
+        } catch (error) {
+            console.warn('Zone names unavailable for discussion links:', error);
+            return new Map();
+        }
+
+        const places = new Map();
+        for (const region of Object.values(zones?.regions || {})) {
+            for (const [id, name] of Object.entries(region.zones || {})) {
+                if (/\bto\b|,|\bincluding\b|\bcoastal waters\b/i.test(name)) continue;
+                for (const phrase of new Set([name, name.replace(Discussion.PLACE_QUALIFIER, '')])) {
+                    if (phrase.trim().split(/\s+/).length < 2) continue;
+                    const key = phrase.toLowerCase();
+                    if (!places.has(key)) places.set(key, { ids: [], names: [] });
+                    places.get(key).ids.push(id);
+                    places.get(key).names.push(name);
+                }
+            }
+        }
+        this.places = places;
+        return places;
+    }
+
+    /** Hazard phrases and zone names, the longest place first */
+    marinePattern() {
+        const places = [...(this.places || new Map()).keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+        return new RegExp(`\\b(?:${[...Discussion.HAZARD_PHRASES, ...places].join('|')})\\b`, 'gi');
+    }
+
+    /**
+     * The element a matched phrase is wrapped in: a link for a zone name,
+     * a hazard mark otherwise
+     * @param {string} phrase - Matched text
+     * @returns {Object} { tag, attrs }
+     */
+    marineTag(phrase) {
+        const place = this.places?.get(phrase.toLowerCase().replace(/\s+/g, ' '));
+        if (place) {
+            return {
+                tag: 'a',
+                attrs: {
+                    href: '#forecast-summary',
+                    class: 'afd-zone-link',
+                    'data-zone': place.ids[0],
+                    title: `Open the marine forecast: ${place.names.join(', ')}`
+                }
+            };
+        }
+        const { level } = Discussion.MARINE_HAZARDS.find(h => h.pattern.test(phrase));
+        return { tag: 'mark', attrs: { class: `afd-hazard hazard-${level}` } };
+    }
+
+    /**
+     * Highlight marine hazard phrases and link zone names in a rendered block
+     * @param {HTMLElement} root - Section text element
+     */
+    markMarine(root) {
+        const pattern = this.marinePattern();
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement?.closest('a, mark, del, summary')
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            const frag = document.createDocumentFragment();
+            let last = 0;
+            for (const m of text.matchAll(pattern)) {
+                const { tag, attrs } = this.marineTag(m[0]);
+                const el = document.createElement(tag);
+                Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+                el.textContent = m[0];
+                frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+                frag.appendChild(el);
+                last = m.index + m[0].length;
+            }
+            if (!last) continue;
+            frag.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(frag, node);
+        }
+    }
+
+    /**
+     * Split an AFD into its named sections. A section runs from its
+     * ".NAME..." line to "&&" or the next section; "$$" ends the product
+     * (what follows is forecaster initials). MARINE sections are moved to
+     * the front; the watches/warnings section is parsed out separately.
+     * @param {string} text - Product text
+     * @returns {Object} { sections: [{ id, title, subtitle, text }], hazards }
+     */
+    static parseSections(text) {
+        const raw = [];
+        let cur = null;
+        const close = () => { if (cur) raw.push(cur); cur = null; };
+
+        for (const line of String(text || '').replace(/\r/g, '').split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('$$')) break;
+            if (trimmed === '&&') { close(); continue; }
+
+            const m = line.match(/^\.([A-Z][A-Z0-9 ,\/&()'-]*?)\.\.\.(.*)$/);
+            if (m) {
+                close();
+                // ".SHORT TERM.../Through Monday night/...Text starts here"
+                const sub = m[2].match(/^\s*\/([^/]*)\/(?:\.\.\.)?\s*(.*)$/);
+                cur = { title: m[1].trim(), subtitle: sub ? sub[1].trim() : '', lines: [] };
+                const rest = sub ? sub[2] : m[2];
+                if (rest.trim()) cur.lines.push(rest);
+            } else if (cur) {
+                cur.lines.push(line);
+            }
+        }
+        close();
+
+        let hazards = null;
+        const sections = [];
+        const seen = new Set();
+        for (const sec of raw) {
+            const body = sec.lines.join('\n').trim();
+            if (Discussion.HAZARD_SECTION.test(sec.title)) {
+                hazards = Discussion.parseHazards(body);
+                continue;
+            }
+            if (!body) continue;
+            let id = sec.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            while (seen.has(id)) id += '-2';
+            seen.add(id);
+            sections.push({ id, title: sec.title, subtitle: sec.subtitle, text: body });
+        }
+
+        const isMarine = sec => /^MARINE\b/.test(sec.title);
+        return {
+            sections: [...sections.filter(isMarine), ...sections.filter(sec => !isMarine(sec))],
+            hazards
+        };
+    }
+
+    /**
+     * Parse the ".AJK WATCHES/WARNINGS/ADVISORIES..." body, e.g.
+     *   PUBLIC...Wind Advisory until 6 PM AKDT this evening for AKZ318-319.
+     *   MARINE...Gale Warning for PKZ031-033-036.
+     *        Small Craft Advisory for PKZ012-013.
+     * @param {string} body - Section text
+     * @returns {Array} [{ category, items: [{ text, event, hazard, zones }] }]
+     */
+    static parseHazards(body) {
+        const groups = [];
+        for (const line of body.split('\n')) {
+            const m = line.match(/^([A-Z][A-Z ]*?)\.\.\.(.*)$/);
+            if (m) groups.push({ category: m[1].trim(), text: m[2].trim() });
+            else if (groups.length && line.trim()) groups[groups.length - 1].text += ' ' + line.trim();
+        }
+        return groups.map(({ category, text }) => ({
+            category,
+            items: text.split(/\.\s+(?=[A-Z])|\.$/).map(t => t.trim()).filter(Boolean).map(t => {
+                const ugc = (t.match(/\b[A-Z]{2}Z\d{3}[\d>\-A-Z]*/g) || []).join('-');
+                return {
+                    text: t,
+                    event: t.split(/\s+(?:until|from|for|through|in effect)\s+/i)[0],
+                    hazard: MarineText.hazardOf(t),
+                    zones: MarineText.ugcZones(ugc)
+                };
+            })
+        }));
+    }
+
+    /** "SHORT TERM" -> "Short Term" */
+    static sectionName(title) {
+        return title.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+    }
+
+    /**
+     * Watches, warnings and advisories as one chip per item, grouped by
+     * PUBLIC / MARINE
+     * @param {Array|null} hazards - From parseHazards
+     * @returns {string} HTML string
+     */
+    renderHazards(hazards) {
+        if (!hazards || !hazards.length) return '';
+        return `
+            <div class="afd-hazards">
+                ${hazards.map(group => `
+                    <div class="afd-hazard-group">
+                        <span class="afd-hazard-category">${this.esc(Discussion.sectionName(group.category))}</span>
+                        ${group.items.map(item => `
+                            <span class="afd-chip${item.hazard ? ` hazard-${item.hazard.level}` : ' afd-chip-none'}" title="${this.esc(item.text)}">
+                                ${item.hazard ? `<span class="hazard-icon" aria-hidden="true">${item.hazard.icon}</span>` : ''}${this.esc(item.event)}
+                                ${item.zones.length ? `<small>${this.esc(item.zones.join(', '))}</small>` : ''}
+                            </span>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * One collapsible section; MARINE starts open. When comparing, the text
+     * is a word diff against the same-named section of the earlier issuance.
+     * @param {Object} sec - From parseSections
+     * @param {Map|null} previous - Earlier issuance's sections by title
+     * @returns {string} HTML string
+     */
+    renderSection(sec, previous) {
+        const marine = /^MARINE\b/.test(sec.title);
+        const paras = text => text
+            .split(/\n\s*\n/)
+            .map(p => p.replace(/\s*\n\s*/g, ' ').trim())
+            .filter(Boolean);
+
+        let body, status = '';
+        const old = previous?.get(sec.title);
+        if (previous && !old) {
+            status = '<span class="afd-status afd-status-new">New section</span>';
+            body = paras(sec.text).map(p => `<p><ins>${this.esc(p)}</ins></p>`).join('');
+        } else if (old) {
+            const diff = Discussion.diffWords(paras(old.text).join('\n\n'), paras(sec.text).join('\n\n'));
+            const changed = diff.some(d => d.type !== 'same');
+            const from = Discussion.confidence(old.text), to = Discussion.confidence(sec.text);
+            status = `<span class="afd-status${changed ? ' afd-status-changed' : ''}">${changed ? 'Changed' : 'Unchanged'}</span>` +
+                (from || to ? ` <span class="afd-confidence">Confidence: ${from === to
+                    ? this.esc(to)
+                    : `<del>${this.esc(from || 'not stated')}</del> → <ins>${this.esc(to || 'not stated')}</ins>`}</span>` : '');
+            body = this.renderDiff(diff);
+        } else {
+            body = paras(sec.text).map(p => `<p>${this.highlight(this.esc(p))}</p>`).join('');
+        }
+
+        return `
+            <details class="afd-section${marine ? ' afd-marine' : ''}" data-section="${sec.id}"${marine ? ' open' : ''}>
+                <summary>${this.esc(Discussion.sectionName(sec.title))}${sec.subtitle ? ` <small>${this.esc(sec.subtitle)}</small>` : ''}${status ? ` ${status}` : ''}</summary>
+                <div class="forecast-text${previous ? ' afd-diff' : ''}">${body}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Issuance picker and compare-with picker (older issuances only)
+     * @param {string} id - Product id on screen
+     * @returns {string} HTML string
+     */
+    renderHistory(id) {
+        if (this.history.length < 2) return '';
+        const index = this.history.findIndex(h => h.id === id);
+        const label = (h, i) => `${h.issued ? this.formatDate(new Date(h.issued)) : h.id}${i === 0 ? ' (latest)' : ''}`;
+        return `
+            <div class="afd-history-bar">
+                <label>Issued
+                    <select class="afd-history">
+                        ${this.history.map((h, i) => `<option value="${this.esc(h.id)}"${h.id === id ? ' selected' : ''}>${label(h, i)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Compare with
+                    <select class="afd-compare">
+                        <option value="">None</option>
+                        ${this.history.slice(index + 1).map((h, i) => `<option value="${this.esc(h.id)}"${h.id === this.compareData?.id ? ' selected' : ''}>${label(h, index + 1 + i)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Word-level diff (longest common subsequence). Paragraph breaks are
+     * kept as their own tokens so the diff renders back into paragraphs.
+     * @param {string} a - Earlier text
+     * @param {string} b - Newer text
+     * @returns {Array} [{ type: 'same'|'add'|'del', text }]
+     */
+    static diffWords(a, b) {
+        const tokens = t => t.split(/(\n\n)|\s+/).filter(Boolean);
+        const x = tokens(a), y = tokens(b);
+        const n = x.length, m = y.length;
+        // lcs[i][j]: common length of x[i..] and y[j..]
+        const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const out = [];
+        const push = (type, text) => {
+            const last = out[out.length - 1];
+            if (last && last.type === type && text !== '\n\n' && last.text.slice(-2) !== '\n\n') last.text += ' ' + text;
+            else out.push({ type, text });
+        };
+        let i = 0, j = 0;
+        while (i < n && j < m) {
+            if (x[i] === y[j]) { push('same', x[i]); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', x[i++]);
+            else push('add', y[j++]);
+        }
+        while (i < n) push('del', x[i++]);
+        while (j < m) push('add', y[j++]);
+        return out;
+    }
+
+    renderDiff(diff) {
+        const html = diff.map(d => {
+            if (d.text === '\n\n') return d.type === 'del' ? '' : '</p><p>';
+            const text = this.esc(d.text);
+            if (d.type === 'add') return ` <ins>${text}</ins>`;
+            if (d.type === 'del') return ` <del>${text}</del>`;
+            return ` ${text}`;
+        }).join('');
+        return `<p>${html.trim()}</p>`.replace(/<p>\s*<\/p>/g, '');
+    }
+
+    /**
+     * The forecaster's stated confidence in a section, lower-cased, if any
+     * @param {string} text - Section text
+     * @returns {string|null} e.g. "above average"
+     */
+    static confidence(text) {
+        const m = String(text).replace(/\s+/g, ' ').match(Discussion.CONFIDENCE);
+        return m ? (m[1] || m[2]).toLowerCase() : null;
+    }
+
+    esc(s) {
+        return String(s).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
     }
 
     /**
@@ -380,14 +872,43 @@ class Discussion {
             formatted = `<p>${cleanedText.replace(/\n/g, '<br>')}</p>`;
         }
         
-        // Enhanced formatting with weather terminology
-        formatted = formatted
+        return this.highlight(formatted);
+    }
+
+    /**
+     * Mark marine hazards and zone names, then emphasize time periods,
+     * weather systems, conditions and measurements. The hazards go first, on
+     * the plain text, so emphasis can't split "gap winds" or "small craft
+     * seas" before they're matched; nothing inside a tag or a marked phrase
+     * is emphasized.
+     * @param {string} html - Paragraph HTML
+     * @returns {string} HTML with highlighting spans
+     */
+    highlight(html) {
+        const pattern = this.marinePattern();
+        return html
+            .replace(/<[^>]*>|[^<]+/g, part => (part.startsWith('<') ? part : part.replace(pattern, m => {
+                const { tag, attrs } = this.marineTag(m);
+                const attrHtml = Object.entries(attrs).map(([name, value]) => ` ${name}="${this.esc(value)}"`).join('');
+                return `<${tag}${attrHtml}>${m}</${tag}>`;
+            })))
+            .replace(/(<(mark|a)\b[^>]*>[\s\S]*?<\/\2>|<[^>]*>)|[^<]+/g, (part, skip) => (skip ? part : this.emphasize(part)));
+    }
+
+    /**
+     * Emphasis for one run of text
+     * @param {string} text - Text between tags
+     * @returns {string} HTML with highlighting spans
+     */
+    emphasize(text) {
+        return text
             // Highlight time periods with better formatting
             .replace(/\b(TODAY|TONIGHT|TOMORROW|THIS EVENING|THIS MORNING|THIS AFTERNOON|SUNDAY|MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY)\b/gi, '<strong>$1</strong>')
             // Highlight weather systems and patterns
             .replace(/\b(LOW PRESSURE|HIGH PRESSURE|FRONT|TROUGH|RIDGE|STORM SYSTEM|WEATHER SYSTEM|CYCLONE|ANTICYCLONE)\b/gi, '<strong>$1</strong>')
-            // Highlight weather conditions with subtle emphasis
-            .replace(/\b(RAIN|SNOW|THUNDERSTORMS|FOG|WIND|GALE|STORM|CLEAR|CLOUDY|PARTLY CLOUDY|OVERCAST|SHOWERS|DRIZZLE|VISIBILITY|PRECIPITATION)\b/gi, '<em>$1</em>')
+            // Highlight weather conditions with subtle emphasis (gales and
+            // storms are marked as hazards by markMarine)
+            .replace(/\b(RAIN|SNOW|THUNDERSTORMS|FOG|WIND|CLEAR|CLOUDY|PARTLY CLOUDY|OVERCAST|SHOWERS|DRIZZLE|VISIBILITY|PRECIPITATION)\b/gi, '<em>$1</em>')
             // Highlight marine conditions  
             .replace(/\b(SEAS|WAVES|SWELL|CHOPPY|ROUGH|CALM|SURF|BREAKERS|SIGNIFICANT WAVE HEIGHT|COMBINED SEAS)\b/gi, '<em>$1</em>')
             // Format wind directions with better styling
@@ -396,8 +917,6 @@ class Discussion {
             .replace(/\b(\d+\s*(?:MPH|KT|KNOTS?|FT|FEET|INCHES?|IN|MILES?|NAUTICAL MILES?))\b/gi, '<span class="weather-measurement">$1</span>')
             // Format temperature ranges
             .replace(/\b(\d+\s*(?:DEGREES?|°F?|°C?))\b/gi, '<span class="weather-measurement">$1</span>');
-        
-        return formatted;
     }
 
     /**
@@ -546,6 +1065,8 @@ class Discussion {
      */
     clear() {
         this.currentData = null;
+        this.compareData = null;
+        this.history = [];
         this.content.innerHTML = '<div class="loading">Loading discussion...</div>';
     }
 }
@@ -553,4 +1074,9 @@ class Discussion {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.Discussion = Discussion;
-}
\ No newline at end of file
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Discussion;
+}
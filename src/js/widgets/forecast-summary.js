@@ -9,10 +9,22 @@ class ForecastSummary {
         this.regionBtns = this.container.querySelector('.marine-region-btns');
         this.zoneDropdown = document.getElementById('zone-dropdown');
         this.forecastDisplay = this.container.querySelector('.forecast-display');
+        this.mapContainer = this.container.querySelector('.zone-map');
+        this.overviewContainer = this.container.querySelector('.region-overview');
+        this.overview = null;                     // { region, text } behind the overview table
+        this.zoneMap = null;
+        this.vesselPanel = this.container.querySelector('.vessel-limits');
+        this.vesselDropdown = document.getElementById('vessel-dropdown');
+        this.vessel = window.BoatSafe.vessel;     // shared go/no-go limits
+        this.pendingZone = null;                  // saved zone awaiting discoverZones()
         this.currentData = null;
+        this.currentZone = null;                  // zone on screen, for export (see renderZoneForecast)
         this.currentRegion = null;
         this.selectedZone = null;
         this.zones = null;
+        this.zoneHeadlines = {};    // zoneId -> headlines from the latest CWF
+        this.uncoveredZones = new Set(); // zones.json zones no CWF product carries
+        this.statements = [];       // in-force MWS/SMW segments (see loadStatements)
         this.isExpanded = true; // Default to expanded
         
         this.init();
@@ -25,7 +37,9 @@ class ForecastSummary {
         this.setupToggleButton();
         this.showLoading();
         this.setupEventListeners();
+        this.setupVesselLimits();
         this.loadZones();
+        this.initMap();
     }
 
     /**
@@ -90,12 +104,71 @@ class ForecastSummary {
         try {
             const response = await window.BoatSafe.http.get('./data/zones.json', { skipCache: true, cacheTTL: 0 });
             this.zones = typeof response === 'string' ? JSON.parse(response) : response;
+            ForecastSummary.registerRawUrls(this.zones.regions);
+            ForecastSummary.restoreZones(this.zones.regions);
             this.renderRegionButtons();
+            // Background sanity check of zones.json against the live products
+            this.checkCoverage().catch(error => console.warn('CWF coverage check failed:', error));
         } catch (error) {
             console.error('Failed to load zones:', error);
         }
     }
 
+    /**
+     * Zone map above the dropdown. An enhancement: without the polygon asset
+     * (or on any failure) it hides and the buttons + dropdown still work.
+     */
+    async initMap() {
+        if (!this.mapContainer) return;
+        try {
+            const shapes = await ZoneMap.loadShapes();
+            if (!shapes) throw new Error('Marine zone shapes unavailable');
+            this.zoneMap = new ZoneMap({
+                container: this.mapContainer,
+                shapes,
+                onSelect: (zoneId) => this.selectZoneFromMap(zoneId)
+            });
+            await this.zoneMap.init();
+            // Catch up with anything restored before the map was ready
+            this.zoneMap.setHazards(this.zoneHeadlines);
+            if (this.currentRegion) this.zoneMap.fitZones(Object.keys(this.currentRegion.zones));
+            if (this.selectedZone) this.zoneMap.setSelectedZone(this.selectedZone);
+        } catch (error) {
+            console.error('Zone map failed to initialize:', error);
+            this.zoneMap = null;
+            this.mapContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * A tapped zone may belong to another region; switch to it first
+     * @param {string} zoneId - Zone ID
+     */
+    async selectZoneFromMap(zoneId) {
+        const regions = this.zones?.regions || {};
+        const regionOf = () => Object.keys(regions).find(id => regions[id].zones[zoneId]);
+        if (!regionOf()) {
+            // It may belong to a region whose zones come from its product
+            await Promise.all(Object.values(regions)
+                .filter(r => ForecastSummary.regionProduct(r) && !Object.keys(r.zones).length)
+                .map(r => {
+                    const { type, loc } = ForecastSummary.regionProduct(r);
+                    return ForecastSummary.fetchProductText(type, loc)
+                        .then(({ text }) => ForecastSummary.discoverZones(r, text))
+                        .catch(error => console.warn(`Failed to load zones for ${r.name}:`, error));
+                }));
+        }
+        const regionId = regionOf();
+        if (!regionId) return;
+        if (this.currentRegion !== regions[regionId]) {
+            this.setActiveRegionBtn(regionId);
+            this.selectRegion(regionId, { fitMap: false });
+            this.followOffice(regions[regionId]);
+        }
+        this.zoneDropdown.value = zoneId;
+        this.selectZone(zoneId);
+    }
+
     /**
      * Populate region dropdown
      */
@@ -123,6 +196,9 @@ class ForecastSummary {
                     if (savedZone && this.currentRegion?.zones[savedZone]) {
                         this.zoneDropdown.value = savedZone;
                         this.selectZone(savedZone);
+                    } else if (savedZone) {
+                        // Zones not yet read from the product; see loadRegionHeadlines
+                        this.pendingZone = savedZone;
                     }
                 }, 100);
             }
@@ -140,8 +216,9 @@ class ForecastSummary {
     /**
      * Select a region and populate zone dropdown
      * @param {string} regionId - Region ID
+     * @param {Object} [options] - { fitMap: false } keeps the map view as is
      */
-    selectRegion(regionId) {
+    selectRegion(regionId, { fitMap = true } = {}) {
         if (!regionId || !this.zones?.regions[regionId]) {
             this.zoneDropdown.innerHTML = '<option value="">Select a region first...</option>';
             return;
@@ -149,6 +226,10 @@ class ForecastSummary {
 
         this.currentRegion = this.zones.regions[regionId];
         this.populateZoneDropdown();
+        this.overview = null;
+        if (this.overviewContainer) this.overviewContainer.innerHTML = '';
+        this.loadRegionHeadlines(this.currentRegion);
+        if (fitMap && this.zoneMap) this.zoneMap.fitZones(Object.keys(this.currentRegion.zones));
         
         // Save region preference
         try {
@@ -168,6 +249,7 @@ class ForecastSummary {
                 if (!btn) return;
                 this.setActiveRegionBtn(btn.dataset.value);
                 this.selectRegion(btn.dataset.value);
+                this.followOffice(this.currentRegion);
             });
         }
 
@@ -177,6 +259,88 @@ class ForecastSummary {
                 this.selectZone(zoneId);
             });
         }
+
+        // Overview rows open that zone's forecast
+        if (this.overviewContainer) {
+            this.overviewContainer.addEventListener('click', (e) => {
+                const row = e.target.closest('tr[data-zone]');
+                if (!row) return;
+                this.zoneDropdown.value = row.dataset.zone;
+                this.selectZone(row.dataset.zone);
+            });
+        }
+
+        // Export buttons are re-rendered with each forecast
+        const display = this.forecastDisplay || this.content;
+        display.addEventListener('click', (e) => {
+            const btn = e.target.closest('.export-btn');
+            if (btn) this.exportBriefing(btn.dataset.action, btn);
+        });
+    }
+
+    /**
+     * Point the forecast discussion at the office that writes this region's
+     * CWF (AJK, AFC or AFG), so the reasoning behind the forecast is at hand.
+     * Only on a user's pick: restoring preferences leaves the discussion's
+     * own saved office alone.
+     * @param {Object} region - Region entry from zones.json
+     */
+    followOffice(region) {
+        const discussion = window.BoatSafe.app?.widgets?.discussion;
+        if (!discussion || !region?.office || discussion.currentOffice === region.office) return;
+        discussion.setActiveRegionBtn(region.office);
+        discussion.selectRegion(region.office);
+    }
+
+    /**
+     * Vessel limits editor. The limits themselves live in the shared
+     * window.BoatSafe.vessel; any change re-scores the zone on screen.
+     */
+    setupVesselLimits() {
+        if (!this.vessel || !this.vesselPanel) return;
+        const form = this.vesselPanel.querySelector('.vessel-form');
+        this.vesselPanel.querySelector('.vessel-fields').innerHTML = `
+            <label>Name <input name="name" type="text" maxlength="40"></label>
+            ${VesselLimits.FIELDS.map(f => `
+                <label>${f.label} (${f.unit})
+                    <input name="${f.key}" type="number" min="0" step="any" inputmode="decimal" placeholder="none">
+                </label>`).join('')}
+        `;
+
+        this.vesselDropdown.addEventListener('change', (e) => {
+            this.vessel.setActive(parseInt(e.target.value, 10));
+        });
+        this.vesselPanel.querySelector('.vessel-add').addEventListener('click', () => {
+            this.vessel.add(`Vessel ${this.vessel.profiles.length + 1}`);
+        });
+        this.vesselPanel.querySelector('.vessel-remove').addEventListener('click', () => {
+            this.vessel.remove();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.vessel.update(Object.fromEntries(new FormData(form)));
+        });
+
+        this.vessel.subscribe(() => {
+            this.fillVesselForm();
+            if (this.selectedZone && this.currentData) this.renderZoneForecast(this.selectedZone);
+            if (this.overview) this.renderRegionOverview(this.overview.region, this.overview.text);
+        });
+        this.fillVesselForm();
+    }
+
+    fillVesselForm() {
+        const form = this.vesselPanel.querySelector('.vessel-form');
+        const active = this.vessel.active;
+        this.vesselDropdown.innerHTML = this.vessel.profiles
+            .map((p, i) => `<option value="${i}">${this.esc(p.name)}</option>`).join('');
+        this.vesselDropdown.value = String(this.vessel.activeIndex);
+        form.elements.name.value = active.name;
+        for (const { key } of VesselLimits.FIELDS) {
+            form.elements[key].value = active[key] ?? '';
+        }
+        this.vesselPanel.querySelector('.vessel-remove').disabled = this.vessel.profiles.length < 2;
+        this.vesselPanel.querySelector('.vessel-name').textContent = active.name;
     }
 
     /**
@@ -197,16 +361,144 @@ class ForecastSummary {
     populateZoneDropdown() {
         if (!this.zoneDropdown || !this.currentRegion) return;
 
-        // Clear existing options
-        this.zoneDropdown.innerHTML = '<option value="">Select a zone...</option>';
+        // Clear existing options. Regions whose zones come from the product
+        // itself (see discoverZones) are empty until it loads.
+        const empty = !Object.keys(this.currentRegion.zones).length;
+        this.zoneDropdown.innerHTML = `<option value="">${empty ? 'Loading zones...' : 'Select a zone...'}</option>`;
 
-        // Add zones for current region
+        // Add zones for current region, flagged with any active headline
         Object.entries(this.currentRegion.zones).forEach(([zoneId, zoneName]) => {
             const option = document.createElement('option');
+            const hazard = MarineText.worstHeadline(this.zoneHeadlines[zoneId]);
             option.value = zoneId;
             option.textContent = `${zoneId} - ${zoneName}`;
+            if (this.uncoveredZones.has(zoneId)) {
+                option.textContent += ' (not in current NWS forecast)';
+            }
+            if (hazard) {
+                option.textContent = `${hazard.icon} ${option.textContent} (${this.titleCase(hazard.text)})`;
+                option.className = `hazard-${hazard.level}`;
+                option.dataset.hazard = hazard.level;
+            }
             this.zoneDropdown.appendChild(option);
         });
+
+        if (this.selectedZone && this.currentRegion.zones[this.selectedZone]) {
+            this.zoneDropdown.value = this.selectedZone;
+        }
+    }
+
+    /**
+     * Fetch the region's CWF product and tag each zone in the dropdown with
+     * its active headline. Badges are an enhancement: failures are logged and
+     * the plain dropdown stays usable.
+     * @param {Object} region - Region entry from zones.json
+     */
+    async loadRegionHeadlines(region) {
+        const firstZone = Object.keys(region?.zones || {})[0];
+        const product = ForecastSummary.regionProduct(region) || (firstZone && ForecastSummary.zoneProduct(firstZone));
+        if (!product) return;
+
+        try {
+            const { text } = await ForecastSummary.fetchProductText(product.type, product.loc);
+            const discovering = !Object.keys(region.zones).length;
+            ForecastSummary.discoverZones(region, text);
+            Object.assign(this.zoneHeadlines, MarineText.productHeadlines(text));
+            if (this.currentRegion === region) {
+                this.populateZoneDropdown();
+                this.renderRegionOverview(region, text);
+            }
+            if (discovering && this.currentRegion === region && this.zoneMap) {
+                this.zoneMap.fitZones(Object.keys(region.zones));
+            }
+            if (this.pendingZone && this.currentRegion === region && region.zones[this.pendingZone]) {
+                const zoneId = this.pendingZone;
+                this.pendingZone = null;
+                this.zoneDropdown.value = zoneId;
+                this.selectZone(zoneId);
+            }
+            if (this.zoneMap) this.zoneMap.setHazards(this.zoneHeadlines);
+        } catch (error) {
+            console.warn('Failed to load zone headlines:', error);
+        }
+    }
+
+    /**
+     * Worst-conditions table for the whole region: a row per zone, a column
+     * per period, each cell the max wind and seas shaded by periodSeverity.
+     * Everything comes from the one CWF product already downloaded.
+     * @param {Object} region - Region entry from zones.json
+     * @param {string} text - The region's CWF product text
+     */
+    renderRegionOverview(region, text) {
+        if (!this.overviewContainer) return;
+        this.overview = { region, text };
+
+        // Only periods with wind or seas; the SYNOPSIS has nothing to compare.
+        // Columns are lined up by clock time, as on the route forecast
+        const issued = MarineText.parseIssuance(text) || new Date();
+        const rows = Object.entries(region.zones).map(([zoneId, name]) => {
+            const segment = MarineText.zoneSegment(text, zoneId);
+            const parsed = segment ? MarineText.parseZone(segment.text) : null;
+            const periods = parsed?.periods || [];
+            const times = MarineText.periodTimes(periods, issued);
+            const kept = periods.map((p, i) => i).filter(i => periods[i].wind || periods[i].waves);
+            return {
+                zoneId,
+                name,
+                headlines: parsed?.headlines || [],
+                periods: kept.map(i => periods[i]),
+                times: kept.map(i => times[i])
+            };
+        }).filter(row => row.periods.length);
+        if (!rows.length) {
+            this.overviewContainer.innerHTML = '';
+            return;
+        }
+
+        const columns = RouteForecast.alignPeriods(rows);
+        const head = columns.map(col => `<th>${this.esc(col.label)}</th>`).join('');
+        const body = rows.map(row => {
+            const hazard = MarineText.worstHeadline(row.headlines);
+            return `<tr data-zone="${this.esc(row.zoneId)}" class="${row.zoneId === this.selectedZone ? 'overview-selected' : ''}">
+                <td class="obs-site">
+                    ${this.esc(row.zoneId)} ${this.esc(row.name)}
+                    ${hazard ? `<div class="route-hazard hazard-${hazard.level}">${hazard.icon} ${this.esc(this.titleCase(hazard.text))}</div>` : ''}
+                </td>
+                ${RouteForecast.renderCells(RouteForecast.periodsFor(row, columns), (p, span) => this.renderOverviewCell(p, span))}
+            </tr>`;
+        }).join('');
+
+        this.overviewContainer.innerHTML = `
+            <details class="region-overview-panel" open>
+                <summary>${this.esc(region.name)}: worst conditions by zone</summary>
+                <div class="obs-table-wrap">
+                    <table class="obs-table route-table overview-table">
+                        <thead><tr><th>Zone</th>${head}</tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+                <div class="obs-updated">Max sustained wind / seas per period. Tap a zone for its full forecast.</div>
+            </details>`;
+    }
+
+    /** One overview cell, styled like the route forecast's */
+    renderOverviewCell(period, span = 1) {
+        const colspan = span > 1 ? ` colspan="${span}"` : '';
+        if (!period) return '<td class="route-cell">—</td>';
+        const sev = MarineText.periodSeverity(period);
+        const verdict = this.vessel?.evaluate(period);
+        const wind = period.wind
+            ? `${period.wind.direction} ${MarineText.maxWind(period)}${period.wind.gust ? 'G' + period.wind.gust : ''} kt` : '—';
+        const seas = period.waves ? `${MarineText.maxSeas(period)} ft` : '—';
+        return `<td class="route-cell sev-${sev}${verdict ? ` gonogo-${verdict.status}` : ''}"${colspan} title="${this.esc(period.name)}: ${this.esc(period.text)}">
+            <div>${this.esc(wind)}</div><div>${seas}</div>
+        </td>`;
+    }
+
+    // "SMALL CRAFT ADVISORY TONIGHT" -> "Small Craft Advisory Tonight"
+    titleCase(text) {
+        return String(text).toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
     }
 
     /**
@@ -220,37 +512,62 @@ class ForecastSummary {
         }
 
         this.selectedZone = zoneId;
+        if (this.zoneMap) this.zoneMap.setSelectedZone(zoneId);
+        this.overviewContainer?.querySelectorAll('tr[data-zone]')
+            .forEach(row => row.classList.toggle('overview-selected', row.dataset.zone === zoneId));
         this.showLoading(`Loading forecast for ${zoneId}...`);
 
         try {
-            // The Coastal Waters Forecast (CWF) text comes straight from
-            // api.weather.gov (CORS-enabled). One product covers a group of
-            // zones; extractZoneForecast() slices out this zone's section.
-            const loc = ForecastSummary.cwfLocation(zoneId);
-            if (!loc) throw new Error(`No CWF product mapped for zone ${zoneId}`);
-            const { text, issuanceTime } = await ForecastSummary.fetchCwfText(loc);
+            // The Coastal (CWF) or Offshore (OFF) Waters Forecast text comes
+            // straight from api.weather.gov (CORS-enabled). One product covers
+            // a group of zones; extractZoneForecast() slices out this zone's
+            // section. The region's own product is the best guess for a zone
+            // not yet seen.
+            const product = ForecastSummary.zoneProduct(zoneId) || ForecastSummary.regionProduct(this.currentRegion);
+            if (!product) throw new Error(`No forecast product mapped for zone ${zoneId}`);
+            const { text, issuanceTime, source, type } = await ForecastSummary.fetchProductText(product.type, product.loc);
+            Object.assign(this.zoneHeadlines, MarineText.productHeadlines(text));
+            this.populateZoneDropdown();
+            if (this.zoneMap) this.zoneMap.setHazards(this.zoneHeadlines);
 
             this.currentData = {
                 properties: {
                     updated: issuanceTime || new Date().toISOString(),
+                    source,
+                    product: type,
                     periods: [{ name: 'Marine Forecast', detailedForecast: text }]
                 }
             };
             this.renderZoneForecast(zoneId);
+            this.loadStatements(zoneId);
 
             try {
                 localStorage.setItem('boatsafe_selected_zone', zoneId);
             } catch (error) {
                 console.warn('Failed to save zone preference:', error);
             }
+            window.BoatSafe.app?.widgets?.weather?.zonesChanged();
         } catch (error) {
             console.error('Failed to load zone forecast:', error);
             this.showError(`Failed to load forecast for ${zoneId}: ${error.message}`);
         }
     }
 
+    // Text products the widget reads zones from, by api.weather.gov type code.
+    // Offshore regions in zones.json give their OFF location as "off" (AER for
+    // the Gulf of Alaska, ALU for the Bering Sea) and list no zones: the
+    // product's own UGC lines supply them (discoverZones).
+    static PRODUCT_TYPES = {
+        CWF: 'Coastal Waters Forecast',
+        OFF: 'Offshore Waters Forecast'
+    };
+
     // Which CWF product (by api.weather.gov location code) carries each marine
-    // zone. Derived from the NOAA product filenames (…cwf.ajk/aeg/yak/aer/alu).
+    // zone, as of the NOAA product filenames (…cwf.ajk/aeg/yak/aer/alu). Only a
+    // bootstrap: every fetched product's UGC lines are learned by
+    // learnZones() and override this, so NWS renumbering needs no deploy.
+    // AFG's Arctic and western coastal zones (PKZ8xx, …cwf.afg) and all
+    // offshore (OFF) zones are only ever learned.
     static CWF_ZONES = {
         AJK: ['PKZ098', 'PKZ011', 'PKZ012', 'PKZ013', 'PKZ021', 'PKZ022', 'PKZ031', 'PKZ032', 'PKZ033', 'PKZ034', 'PKZ035', 'PKZ036'],
         AEG: ['PKZ641', 'PKZ661', 'PKZ642', 'PKZ662', 'PKZ643', 'PKZ663', 'PKZ644', 'PKZ664', 'PKZ651', 'PKZ671', 'PKZ652', 'PKZ672'],
@@ -260,28 +577,221 @@ class ForecastSummary {
     };
 
     static cwfLocation(zoneId) {
-        const z = zoneId.toUpperCase();
-        if (!ForecastSummary._cwfIndex) {
-            ForecastSummary._cwfIndex = {};
-            for (const [loc, zones] of Object.entries(ForecastSummary.CWF_ZONES)) {
-                for (const zz of zones) ForecastSummary._cwfIndex[zz] = loc;
+        return ForecastSummary.cwfIndex()[zoneId.toUpperCase()] || null;
+    }
+
+    /**
+     * The product a region's zones come from: its "cwf" or "off" location
+     * @param {Object} region - Region entry from zones.json
+     * @returns {Object|null} { type: 'CWF'|'OFF', loc }
+     */
+    static regionProduct(region) {
+        if (region?.cwf) return { type: 'CWF', loc: region.cwf };
+        if (region?.off) return { type: 'OFF', loc: region.off };
+        return null;
+    }
+
+    /**
+     * The product carrying a zone, coastal first
+     * @param {string} zoneId - Zone ID
+     * @returns {Object|null} { type, loc }, or null if no product is known
+     */
+    static zoneProduct(zoneId) {
+        for (const type of Object.keys(ForecastSummary.PRODUCT_TYPES)) {
+            const loc = ForecastSummary.productIndex(type)[zoneId.toUpperCase()];
+            if (loc) return { type, loc };
+        }
+        return null;
+    }
+
+    // AWIPS-style id ("CWFAJK", "OFFAER") keying products of any type
+    static productKey({ type, loc }) {
+        return `${type}${loc}`;
+    }
+
+    static cwfIndex() {
+        return ForecastSummary.productIndex('CWF');
+    }
+
+    // zoneId -> location for one product type: the CWF_ZONES fallback (CWF
+    // only) overlaid with what has been learned from products, cached for a
+    // day as boatsafe_cwf_index / boatsafe_off_index
+    static productIndex(type) {
+        const indexes = ForecastSummary._indexes || (ForecastSummary._indexes = {});
+        if (!indexes[type]) {
+            indexes[type] = {};
+            if (type === 'CWF') {
+                for (const [loc, zones] of Object.entries(ForecastSummary.CWF_ZONES)) {
+                    for (const zz of zones) indexes[type][zz] = loc;
+                }
+            }
+            Object.assign(indexes[type], window.BoatSafe.cache?.get(`${type.toLowerCase()}_index`) || {});
+        }
+        return indexes[type];
+    }
+
+    static CWF_INDEX_TTL = 1440; // minutes
+
+    /**
+     * Record which zones a product covers, from its UGC lines ("PKZ031>036-")
+     * @param {string} type - Product type ('CWF' or 'OFF')
+     * @param {string} loc - Product location code
+     * @param {string} text - Product text
+     * @returns {string[]} Zones the product covers
+     */
+    static learnZones(type, loc, text) {
+        const zones = MarineText.segments(text).flatMap(seg => seg.zones);
+        if (!zones.length) return zones;
+        const key = `${type.toLowerCase()}_index`;
+        const learned = window.BoatSafe.cache?.get(key) || {};
+        const index = ForecastSummary.productIndex(type);
+        for (const zone of zones) learned[zone] = index[zone] = loc;
+        window.BoatSafe.cache?.set(key, learned, ForecastSummary.CWF_INDEX_TTL);
+        return zones;
+    }
+
+    /**
+     * Fetch every region's product once a day and report zones.json zones
+     * that none of them covers (renumbered or retired by NWS). Zones whose
+     * product couldn't be fetched are not judged. The result is cached and
+     * shown in the zone dropdown.
+     */
+    async checkCoverage() {
+        const cached = window.BoatSafe.cache?.get('cwf_uncovered');
+        if (cached) {
+            this.uncoveredZones = new Set(cached);
+            return;
+        }
+
+        const regions = Object.values(this.zones?.regions || {});
+        const products = new Map(regions.map(r => ForecastSummary.regionProduct(r)).filter(Boolean)
+            .map(p => [ForecastSummary.productKey(p), p]));
+        const covered = new Set();
+        const fetched = new Set();
+        for (const [key, { type, loc }] of products) {
+            try {
+                const { text } = await ForecastSummary.fetchProductText(type, loc);
+                MarineText.segments(text).forEach(seg => seg.zones.forEach(z => covered.add(z)));
+                fetched.add(key);
+            } catch (error) {
+                console.warn(`Coverage check could not load ${key}:`, error);
             }
         }
-        return ForecastSummary._cwfIndex[z] || null;
+
+        const uncovered = regions
+            .filter(r => ForecastSummary.regionProduct(r) && fetched.has(ForecastSummary.productKey(ForecastSummary.regionProduct(r))))
+            .flatMap(r => Object.keys(r.zones))
+            .filter(zoneId => !covered.has(zoneId));
+        if (uncovered.length) {
+            console.warn('Zones in zones.json not covered by any current product:', uncovered.join(', '));
+        }
+        this.uncoveredZones = new Set(uncovered);
+        // Don't cache a check that couldn't reach every product
+        if (fetched.size === products.size) {
+            window.BoatSafe.cache?.set('cwf_uncovered', uncovered, ForecastSummary.CWF_INDEX_TTL);
+        }
+        this.populateZoneDropdown();
+    }
+
+    /**
+     * Fill in a region's zones from its CWF or OFF product when zones.json
+     * leaves them empty: each segment's UGC line gives the zone ids and the
+     * line after it the name. (fetchProductText has already mapped them to
+     * the product.) The list is saved for restoreZones, and replaces one
+     * restored from an earlier visit.
+     * @param {Object} region - Region entry from zones.json (zones filled in place)
+     * @param {string} text - The region's product text
+     */
+    static discoverZones(region, text) {
+        const product = ForecastSummary.regionProduct(region);
+        if (!product || (Object.keys(region.zones).length && !region.restored)) return;
+        const zones = {};
+        for (const seg of MarineText.segments(text)) {
+            for (const zone of seg.zones) {
+                if (zone.startsWith('PKZ')) zones[zone] = zones[zone] || seg.name || zone;
+            }
+        }
+        if (!Object.keys(zones).length) return;
+        region.zones = zones;
+        delete region.restored;
+        window.BoatSafe.cache?.set(`zones_${ForecastSummary.productKey(product)}`, zones, ForecastSummary.DISCOVERED_TTL);
+    }
+
+    static DISCOVERED_TTL = 43200; // minutes (30 days); NWS renumbers zones rarely
+
+    /**
+     * Fill the regions zones.json leaves empty from the lists discoverZones
+     * saved on an earlier visit, so their dropdown, map and saved zone work
+     * before (or without) a product fetch
+     * @param {Object} regions - zones.json regions (filled in place)
+     */
+    static restoreZones(regions) {
+        for (const region of Object.values(regions || {})) {
+            const product = ForecastSummary.regionProduct(region);
+            if (!product || Object.keys(region.zones).length) continue;
+            const saved = window.BoatSafe.cache?.get(`zones_${ForecastSummary.productKey(product)}`);
+            if (!saved || !Object.keys(saved).length) continue;
+            region.zones = { ...saved };
+            region.restored = true;
+            const index = ForecastSummary.productIndex(product.type);
+            for (const zone of Object.keys(saved)) index[zone] = index[zone] || product.loc;
+        }
+    }
+
+    // Raw text file per product key, from each region's forecastUrl in
+    // zones.json (see registerRawUrls)
+    static RAW_URLS = {};
+
+    /** @param {Object} regions - zones.json regions */
+    static registerRawUrls(regions) {
+        for (const region of Object.values(regions || {})) {
+            const product = ForecastSummary.regionProduct(region);
+            if (product && region.forecastUrl) {
+                ForecastSummary.RAW_URLS[ForecastSummary.productKey(product)] = region.forecastUrl;
+            }
+        }
+    }
+
+    static SOURCE_LABELS = {
+        api: 'api.weather.gov',
+        raw: 'NWS raw text (tgftp)'
+    };
+
+    static fetchCwfText(loc) {
+        return ForecastSummary.fetchProductText('CWF', loc);
     }
 
-    // Fetch the latest CWF product text for a location: list products, then
-    // fetch the newest one's text. (api.weather.gov ld+json isn't auto-parsed.)
-    static async fetchCwfText(loc) {
+    // The api.weather.gov leg gets one short try, so an outage fails over to
+    // the raw text in seconds rather than after the default retries
+    static API_ATTEMPT = { cacheTTL: 30, retries: 1, timeout: 6000 };
+
+    // Fetch the latest product text for a type and location: list products,
+    // then fetch the newest one's text. (api.weather.gov ld+json isn't
+    // auto-parsed.) If api.weather.gov fails, the same product is read from
+    // the tgftp raw text file. `source` says which one answered.
+    static async fetchProductText(type, loc) {
         const parse = r => (typeof r === 'string' ? JSON.parse(r) : r);
-        const list = parse(await window.BoatSafe.http.get(
-            `https://api.weather.gov/products/types/CWF/locations/${loc}`, { cacheTTL: 30 }));
-        const graph = (list && (list['@graph'] || list.features)) || [];
-        if (!graph.length) throw new Error(`No CWF product available for ${loc}`);
-        const id = graph[0].id || graph[0]['@id'];
-        const product = parse(await window.BoatSafe.http.get(
-            `https://api.weather.gov/products/${id}`, { cacheTTL: 30 }));
-        return { text: product.productText || '', issuanceTime: product.issuanceTime };
+        const key = ForecastSummary.productKey({ type, loc });
+        let result;
+        try {
+            const list = parse(await window.BoatSafe.http.get(
+                `https://api.weather.gov/products/types/${type}/locations/${loc}`, ForecastSummary.API_ATTEMPT));
+            const graph = (list && (list['@graph'] || list.features)) || [];
+            if (!graph.length) throw new Error(`No ${type} product available for ${loc}`);
+            const id = graph[0].id || graph[0]['@id'];
+            const product = parse(await window.BoatSafe.http.get(
+                `https://api.weather.gov/products/${id}`, ForecastSummary.API_ATTEMPT));
+            result = { text: product.productText || '', issuanceTime: product.issuanceTime, source: 'api' };
+        } catch (error) {
+            const rawUrl = ForecastSummary.RAW_URLS[key];
+            if (!rawUrl) throw error;
+            console.warn(`api.weather.gov ${key} failed, using raw text:`, error);
+            const text = String(await window.BoatSafe.http.get(rawUrl, { cacheTTL: 30 }));
+            if (!MarineText.segments(text).length) throw error;
+            result = { text, issuanceTime: MarineText.parseIssuance(text), source: 'raw' };
+        }
+        ForecastSummary.learnZones(type, loc, result.text);
+        return { ...result, type, loc };
     }
 
     /**
@@ -333,17 +843,33 @@ class ForecastSummary {
     }
 
     /**
-     * Render individual forecast period
+     * Render individual forecast period as a compact card. Periods parsed by
+     * MarineText carry wind/waves/swell/visibility/weather; anything else
+     * (e.g. the SYNOPSIS block) falls back to its text.
      * @param {Object} period - Period data
+     * @param {Object} [range] - Clock range { start, end } for the period
+     * @param {Object} [verdict] - Go/no-go verdict from VesselLimits.evaluate
      * @returns {string} HTML string
      */
-    renderPeriod(period) {
+    renderPeriod(period, range, verdict) {
         const { name, text } = period;
-        
+        const night = /NIGHT/i.test(name) ? ' night' : '';
+        const structured = period.wind || period.waves;
+
         return `
-            <div class="forecast-period">
-                <div class="period-name">${name}</div>
-                <div class="period-text">${text}</div>
+            <div class="forecast-period period-card${night}">
+                <div class="period-name">${this.esc(name)}</div>
+                ${range ? `<div class="period-time">${this.getPeriodTime(range)}</div>` : ''}
+                ${verdict ? `<div class="gonogo gonogo-${verdict.status}">
+                    <strong>${ForecastSummary.GONOGO_LABELS[verdict.status]}</strong>${verdict.reasons.length ? ': ' + this.esc(verdict.reasons.join('; ')) : ''}
+                </div>` : ''}
+                ${structured ? `
+                    ${period.wind ? this.renderWind(period.wind) : ''}
+                    ${period.waves ? this.renderWaves(period.waves) : ''}
+                    ${period.swell ? this.renderSwell(period.swell) : ''}
+                    ${period.visibility ? this.renderVisibility(period.visibility) : ''}
+                    ${period.weather ? this.renderWeather(period.weather) : ''}
+                ` : `<div class="period-text">${this.esc(text)}</div>`}
             </div>
         `;
     }
@@ -356,8 +882,8 @@ class ForecastSummary {
     renderWind(wind) {
         return `
             <div class="wind-info">
-                <div class="wind-direction">${wind.directionName}</div>
-                <div class="wind-speed">${wind.speed}${wind.maxSpeed ? '-' + wind.maxSpeed : ''} kt</div>
+                <div class="wind-direction">${this.esc(wind.directionName)}</div>
+                <div class="wind-speed">${wind.speed}${wind.maxSpeed ? '-' + wind.maxSpeed : ''} kt${wind.gust ? `, gusts ${wind.gust}` : ''}</div>
                 <div class="wind-description">${wind.description}</div>
             </div>
         `;
@@ -371,12 +897,40 @@ class ForecastSummary {
     renderWaves(waves) {
         return `
             <div class="wave-info">
+                <div class="wave-label">Seas</div>
                 <div class="wave-height">${waves.height}${waves.maxHeight ? '-' + waves.maxHeight : ''} ft</div>
                 <div class="wave-period">${waves.description}</div>
             </div>
         `;
     }
 
+    /**
+     * Render swell information
+     * @param {Object} swell - Swell data
+     * @returns {string} HTML string
+     */
+    renderSwell(swell) {
+        return `
+            <div class="wave-info">
+                <div class="wave-label">Swell</div>
+                <div class="wave-height">${this.esc(swell.direction)} ${swell.height} ft</div>
+                ${swell.period ? `<div class="wave-period">${swell.period} s</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render visibility information
+     * @param {Object} visibility - Visibility data
+     * @returns {string} HTML string
+     */
+    renderVisibility(visibility) {
+        const nm = Number.isInteger(visibility.value) ? visibility.value : visibility.value.toFixed(1);
+        return `
+            <div class="visibility-info">Vis ${nm} nm${visibility.orLess ? ' or less' : ''}</div>
+        `;
+    }
+
     /**
      * Render weather information
      * @param {Object} weather - Weather data
@@ -385,33 +939,21 @@ class ForecastSummary {
     renderWeather(weather) {
         return `
             <div class="weather-info">
-                <div class="weather-conditions">${weather.conditions.join(', ')}</div>
-                <div class="weather-description">${weather.description}</div>
+                <div class="weather-conditions">${this.esc(weather.description)}</div>
             </div>
         `;
     }
 
     /**
-     * Get display time for period
-     * @param {string} periodName - Period name
-     * @returns {string} Time string
+     * Clock range for a period, e.g. "Sat 6 PM – Sun 6 AM"
+     * @param {Object} range - { start, end } from MarineText.periodTimes
+     * @returns {string} Time range string
      */
-    getPeriodTime(periodName) {
-        const now = new Date();
-        const timeMap = {
-            'TODAY': 'Today',
-            'TONIGHT': 'Tonight',
-            'TOMORROW': 'Tomorrow',
-            'FRIDAY': 'Friday',
-            'SATURDAY': 'Saturday',
-            'SUNDAY': 'Sunday',
-            'MONDAY': 'Monday',
-            'TUESDAY': 'Tuesday',
-            'WEDNESDAY': 'Wednesday',
-            'THURSDAY': 'Thursday'
-        };
-        
-        return timeMap[periodName] || periodName;
+    getPeriodTime(range) {
+        if (!range) return '';
+        const fmt = d => `${d.toLocaleDateString('en-US', { weekday: 'short' })} ` +
+            d.toLocaleTimeString('en-US', { hour: 'numeric', minute: d.getMinutes() ? '2-digit' : undefined });
+        return `${fmt(range.start)} – ${fmt(range.end)}`;
     }
 
     /**
@@ -449,72 +991,551 @@ class ForecastSummary {
         }
 
         const fullText = this.currentData.properties.periods[0].detailedForecast;
-        const zoneForecast = this.extractZoneForecast(fullText, zoneId);
+        const issued = this.currentData.properties.updated;
+        const segment = MarineText.zoneSegment(fullText, zoneId, issued);
         
-        if (!zoneForecast) {
+        if (!segment) {
             this.showError(`Forecast for ${zoneId} not found in current data`);
             return;
         }
 
-        const zoneName = this.currentRegion?.zones[zoneId] || zoneId;
-        
-        // Streamlined for low bandwidth - minimal HTML
+        const zoneForecast = segment.text;
+        const zoneName = this.currentRegion?.zones[zoneId] || segment.name || zoneId;
+        const { headlines, periods } = MarineText.parseZone(zoneForecast);
+        const previous = this.recordIssuance(zoneId, issued, zoneForecast);
+        const times = MarineText.periodTimes(periods, issued);
+        const verdicts = periods.map(p => (this.vessel ? this.vessel.evaluate(p) : null));
+        this.currentZone = {
+            zoneId, zoneName, issued, expires: segment.expires, text: zoneForecast, headlines, periods, times,
+            source: this.currentData.properties.source,
+            product: this.currentData.properties.product
+        };
+
+        // Cards first; the raw NOAA text stays one tap away
         const html = `
             <div class="forecast-header">
-                <strong>${zoneId} - ${zoneName}</strong>
+                <strong>${zoneId} - ${this.esc(zoneName)}</strong>
                 <div class="forecast-meta">
                     <small>NOAA Update: ${this.formatDate(new Date(this.currentData.properties.updated))}</small>
+                    ${this.renderSource(this.currentData.properties.source, this.currentData.properties.product)}
+                    ${segment.expires ? `<small class="forecast-expires">Expires at ${this.formatIssued(segment.expires)}</small>` : ''}
                     <a href="https://www.weather.gov/marine/forecast#akcwf" target="_blank" rel="noopener" class="noaa-link">View NOAA Dataset →</a>
                 </div>
             </div>
+            <div class="forecast-export" role="group" aria-label="Send this briefing">
+                <button type="button" class="map-region-btn export-btn" data-action="copy">Copy briefing</button>
+                ${typeof navigator !== 'undefined' && navigator.share
+                    ? '<button type="button" class="map-region-btn export-btn" data-action="share">Share</button>' : ''}
+                <button type="button" class="map-region-btn export-btn" data-action="download">Download .txt</button>
+            </div>
             <div class="zone-forecast">
-                <pre class="forecast-text">${zoneForecast}</pre>
+                <div class="statement-banner">${this.renderStatements(zoneId)}</div>
+                ${this.renderExpired(segment.expires)}
+                ${headlines.map(h => this.renderHeadline(h)).join('')}
+                ${this.renderChanges(previous, issued, zoneForecast)}
+                ${this.renderGoNoGo(periods, verdicts)}
+                <div class="tide-plot-wrap marine-plot-wrap"></div>
+                ${periods.length ? `<div class="forecast-periods period-cards">
+                    ${periods.map((period, i) => this.renderPeriod(period, times[i], verdicts[i])).join('')}
+                </div>` : ''}
+                <details class="forecast-raw"${periods.length ? '' : ' open'}>
+                    <summary>Full NOAA text</summary>
+                    <pre class="forecast-text">${this.esc(zoneForecast)}</pre>
+                </details>
             </div>
         `;
 
-        if (this.forecastDisplay) {
-            this.forecastDisplay.innerHTML = html;
-        } else {
-            this.content.innerHTML = html;
+        const target = this.forecastDisplay || this.content;
+        target.innerHTML = html;
+        this.buildForecastPlot(target.querySelector('.marine-plot-wrap'), periods, times, zoneName,
+            this.vessel?.active);
+        window.BoatSafe.glossary?.annotate(target.querySelector('.zone-forecast'));
+        if (this.vessel) this.vessel.publish(zoneId, this.vessel.assess(periods));
+    }
+
+    /**
+     * Which product and service the forecast came from; the raw text
+     * fallback is called out so a missing API isn't mistaken for missing data
+     * @param {string} [source] - 'api' | 'raw'
+     * @param {string} [product] - 'CWF' | 'OFF'
+     * @returns {string} HTML string
+     */
+    renderSource(source, product) {
+        if (!source) return '';
+        const note = source === 'raw' ? ' (api.weather.gov unavailable)' : '';
+        return `<small class="forecast-source forecast-source-${source}">Source: ${this.sourceLabel(source, product)}${note}</small>`;
+    }
+
+    // "Offshore Waters Forecast, api.weather.gov"
+    sourceLabel(source, product) {
+        const name = ForecastSummary.PRODUCT_TYPES[product];
+        return `${name ? name + ', ' : ''}${ForecastSummary.SOURCE_LABELS[source]}`;
+    }
+
+    // Short-fuse marine text products, most urgent first
+    static STATEMENT_TYPES = {
+        SMW: 'Special Marine Warning',
+        MWS: 'Marine Weather Statement'
+    };
+
+    // How far back to look for statements still in force
+    static STATEMENT_LOOKBACK_HOURS = 12;
+
+    /**
+     * In-force MWS and SMW segments from one office. Both are short-lived and
+     * issued often, so only recent products are read, and each segment is
+     * kept until its own UGC expiry.
+     * @param {string} office - Issuing office (AJK, AFC, AFG)
+     * @returns {Promise<Array>} { type, office, issued, zones, expires, headlines, body }
+     */
+    static async fetchStatements(office) {
+        const parse = r => (typeof r === 'string' ? JSON.parse(r) : r);
+        const since = Date.now() - ForecastSummary.STATEMENT_LOOKBACK_HOURS * 3600 * 1000;
+        const now = new Date();
+        const out = [];
+        for (const type of Object.keys(ForecastSummary.STATEMENT_TYPES)) {
+            const list = parse(await window.BoatSafe.http.get(
+                `https://api.weather.gov/products/types/${type}/locations/${office}`, { cacheTTL: 5 }));
+            const recent = ((list && (list['@graph'] || list.features)) || [])
+                .filter(p => new Date(p.issuanceTime) >= since)
+                .slice(0, 5);
+            for (const item of recent) {
+                // A product's text never changes once issued
+                const product = parse(await window.BoatSafe.http.get(
+                    `https://api.weather.gov/products/${item.id || item['@id']}`, { cacheTTL: 720 }));
+                for (const seg of MarineText.segments(product.productText, product.issuanceTime)) {
+                    if (!seg.expires || seg.expires <= now) continue;
+                    out.push({
+                        type,
+                        office,
+                        issued: product.issuanceTime,
+                        zones: seg.zones,
+                        expires: seg.expires,
+                        headlines: seg.headlines,
+                        body: MarineText.statementBody(seg.text)
+                    });
+                }
+            }
         }
+        return out;
     }
 
     /**
-     * Extract forecast text for specific zone
-     * @param {string} fullText - Complete forecast text
-     * @param {string} zoneId - Zone ID to extract
-     * @returns {string|null} Zone-specific forecast text
+     * Fetch statements for every office in zones.json and show those covering
+     * the zone above its forecast. Failures leave the forecast as is.
+     * @param {string} zoneId - Zone on screen
      */
-    extractZoneForecast(fullText, zoneId) {
-        const lines = fullText.split('\n');
-        let zoneStartIndex = -1;
-        let zoneEndIndex = -1;
-        
-        // Find the start of the zone section
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes(zoneId)) {
-                zoneStartIndex = i;
-                break;
+    async loadStatements(zoneId) {
+        const offices = [...new Set(Object.values(this.zones?.regions || {}).map(r => r.office).filter(Boolean))];
+        const results = await Promise.all(offices.map(office =>
+            ForecastSummary.fetchStatements(office).catch(error => {
+                console.warn(`Failed to load marine statements for ${office}:`, error);
+                return [];
+            })));
+        this.statements = results.flat();
+        if (this.selectedZone !== zoneId) return;
+        const banner = (this.forecastDisplay || this.content).querySelector('.statement-banner');
+        if (banner) banner.innerHTML = this.renderStatements(zoneId);
+    }
+
+    /**
+     * In-force statements for a zone, newest first within SMW-then-MWS
+     * @param {string} zoneId - Zone ID
+     * @returns {Array} Statements from fetchStatements
+     */
+    statementsFor(zoneId) {
+        const order = Object.keys(ForecastSummary.STATEMENT_TYPES);
+        const now = new Date();
+        return this.statements
+            .filter(st => st.zones.includes(zoneId) && st.expires > now)
+            .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || new Date(b.issued) - new Date(a.issued));
+    }
+
+    /**
+     * Banner for the zone's Special Marine Warnings (red) and Marine Weather
+     * Statements (accent), each with its expiry and the full text on tap
+     * @param {string} zoneId - Zone ID
+     * @returns {string} HTML string
+     */
+    renderStatements(zoneId) {
+        return this.statementsFor(zoneId).map(st => {
+            const warning = st.type === 'SMW';
+            const name = ForecastSummary.STATEMENT_TYPES[st.type];
+            const title = st.headlines[0] ? this.titleCase(st.headlines[0]) : name;
+            return `
+                <details class="zone-headline statement-item ${warning ? 'hazard-warning' : 'hazard-advisory'}">
+                    <summary>
+                        <span class="hazard-icon" aria-hidden="true">${warning ? '⚠' : 'ℹ'}</span>${this.esc(title)}
+                        <small class="statement-meta">${title === name ? '' : `${name} · `}NWS ${this.esc(st.office)} · expires ${this.formatIssued(st.expires)}</small>
+                    </summary>
+                    <pre class="forecast-text">${this.esc(st.body)}</pre>
+                </details>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Warn when the segment shown has passed its UGC expiration: NWS should
+     * have replaced it, so a newer forecast exists or the fetch is stale.
+     * @param {Date|null} expires - Segment expiration
+     * @returns {string} HTML string ('' while current)
+     */
+    renderExpired(expires) {
+        if (!expires || new Date() <= expires) return '';
+        return `
+            <div class="status-message status-error forecast-expired" role="alert">
+                <strong>Expired:</strong> this forecast expired at ${this.formatIssued(expires)}.
+                Refresh for the latest NWS issuance before relying on it.
+            </div>
+        `;
+    }
+
+    static GONOGO_LABELS = { go: 'Go', caution: 'Caution', 'no-go': 'No-go' };
+
+    /**
+     * One-line go/no-go strip for the active vessel, a chip per period
+     * @param {Array} periods - Parsed periods
+     * @param {Array} verdicts - VesselLimits.evaluate result per period
+     * @returns {string} HTML string
+     */
+    renderGoNoGo(periods, verdicts) {
+        const chips = periods
+            .map((p, i) => ({ name: p.name, verdict: verdicts[i] }))
+            .filter(c => c.verdict)
+            .map(({ name, verdict }) => {
+                const label = ForecastSummary.GONOGO_LABELS[verdict.status];
+                const why = verdict.reasons.length ? `: ${verdict.reasons.join('; ')}` : '';
+                return `<span class="gonogo-chip gonogo-${verdict.status}" title="${this.esc(label + why)}">${this.esc(name)}</span>`;
+            });
+        if (!chips.length) return '';
+        return `
+            <div class="gonogo-summary">
+                <span class="gonogo-vessel">${this.esc(this.vessel.active.name)}:</span>
+                ${chips.join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * SVG wind and seas timeline, one step per forecast period: the sustained
+     * wind range as a band with gust ticks above, seas in a panel below, and
+     * a shared crosshair tooltip. Styled to match the tide curve.
+     * @param {HTMLElement} wrap - Container
+     * @param {Array} periods - Parsed periods
+     * @param {Array} times - Clock ranges from MarineText.periodTimes
+     * @param {string} zoneName - Zone name for the accessible label
+     * @param {Object} [limits] - Vessel profile; its wind and seas limits are drawn
+     */
+    buildForecastPlot(wrap, periods, times, zoneName, limits) {
+        if (!wrap) return;
+        const steps = periods
+            .map((p, i) => ({ p, range: times[i] }))
+            .filter(s => s.range && (s.p.wind || s.p.waves));
+        if (steps.length < 2) return;
+
+        const NS = 'http://www.w3.org/2000/svg';
+        const W = 640, H = 290;
+        const m = { l: 40, r: 14, t: 18, b: 26 };
+        const gap = 22;
+        const plotW = W - m.l - m.r;
+        const windH = 140, seasH = H - m.t - m.b - windH - gap;
+        const windTop = m.t, seasTop = m.t + windH + gap;
+        const t0 = steps[0].range.start.getTime();
+        const t1 = steps[steps.length - 1].range.end.getTime();
+
+        // Round each panel's range up to a tidy gridline step
+        const scale = (max, steps) => {
+            const step = steps.find(s => max / s <= 4) || steps[steps.length - 1];
+            return { step, hi: Math.max(Math.ceil(max / step) * step, step) };
+        };
+        const windMax = Math.max(limits?.wind || 0,
+            ...steps.map(s => Math.max(MarineText.maxWind(s.p), s.p.wind?.gust || 0)));
+        const seasMax = Math.max(limits?.seas || 0, ...steps.map(s => MarineText.maxSeas(s.p)));
+        const wind = scale(windMax * 1.1, [5, 10, 20]);
+        const seas = scale(seasMax * 1.1, [1, 2, 5, 10]);
+
+        const x = (t) => m.l + ((t - t0) / (t1 - t0)) * plotW;
+        const yWind = (v) => windTop + (1 - v / wind.hi) * windH;
+        const ySeas = (v) => seasTop + (1 - v / seas.hi) * seasH;
+
+        const svg = document.createElementNS(NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+        svg.setAttribute('class', 'tide-plot marine-plot');
+        svg.setAttribute('tabindex', '0');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label',
+            `Wind and seas forecast for ${zoneName}: ` +
+            steps.map(s => [s.p.name.toLowerCase(), MarineText.describeWind(s.p.wind),
+                s.p.waves ? `seas ${MarineText.describeSeas(s.p.waves)}` : '']
+                .filter(Boolean).join(' ')).join(', '));
+
+        const add = (parent, tag, attrs, text) => {
+            const el = document.createElementNS(NS, tag);
+            for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+            if (text !== undefined) el.textContent = text;
+            parent.appendChild(el);
+            return el;
+        };
+
+        // Gridlines: recessive hairlines, values on the left of each panel
+        const grid = add(svg, 'g', { class: 'tide-plot-grid' });
+        const hLines = (y, { step, hi }, unit) => {
+            for (let v = 0; v <= hi; v += step) {
+                add(grid, 'line', { x1: m.l, y1: y(v), x2: W - m.r, y2: y(v) });
+                add(svg, 'text', {
+                    x: m.l - 6, y: y(v) + 3.5, 'text-anchor': 'end', class: 'tide-plot-axis'
+                }, `${v} ${unit}`);
+            }
+        };
+        hLines(yWind, wind, 'kt');
+        hLines(ySeas, seas, 'ft');
+        add(svg, 'text', { x: m.l, y: windTop - 6, class: 'tide-plot-axis' }, 'Wind');
+        add(svg, 'text', { x: m.l, y: seasTop - 6, class: 'tide-plot-axis' }, 'Seas');
+
+        // Midnight ticks, each day's name centred under its stretch of the axis
+        const first = new Date(t0);
+        for (let d = new Date(first.getFullYear(), first.getMonth(), first.getDate()); d.getTime() < t1;
+            d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+            const next = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+            const xa = x(Math.max(d.getTime(), t0)), xb = x(Math.min(next.getTime(), t1));
+            if (d.getTime() > t0) add(grid, 'line', { x1: xa, y1: m.t, x2: xa, y2: H - m.b });
+            if (xb - xa > 24) {
+                add(svg, 'text', {
+                    x: (xa + xb) / 2, y: H - m.b + 15, 'text-anchor': 'middle', class: 'tide-plot-axis'
+                }, d.toLocaleDateString('en-US', { weekday: 'short' }));
             }
         }
-        
-        if (zoneStartIndex === -1) {
-            return null;
+
+        // Step paths: each period holds its value from start to end
+        const stepPoints = (list, value, y) => list.flatMap(s => [
+            `${x(s.range.start.getTime()).toFixed(1)},${y(value(s.p)).toFixed(1)}`,
+            `${x(s.range.end.getTime()).toFixed(1)},${y(value(s.p)).toFixed(1)}`
+        ]);
+        const windSteps = steps.filter(s => s.p.wind);
+        const seasSteps = steps.filter(s => s.p.waves);
+        if (windSteps.length) {
+            const upper = stepPoints(windSteps, p => MarineText.maxWind(p), yWind);
+            const lower = stepPoints(windSteps, p => p.wind.speed, yWind);
+            add(svg, 'path', { class: 'tide-plot-area', d: `M${upper.concat(lower.reverse()).join('L')}Z` });
+            add(svg, 'path', { class: 'tide-plot-line', d: `M${upper.join('L')}` });
         }
-        
-        // Find the end of the zone section (next PKZ or end of text)
-        for (let i = zoneStartIndex + 1; i < lines.length; i++) {
-            if (lines[i].match(/PKZ\d{3}/)) {
-                zoneEndIndex = i;
-                break;
+        if (seasSteps.length) {
+            const line = stepPoints(seasSteps, p => MarineText.maxSeas(p), ySeas);
+            const base = ySeas(0).toFixed(1);
+            add(svg, 'path', {
+                class: 'tide-plot-area marine-plot-seas-area',
+                d: `M${line.join('L')}L${line[line.length - 1].split(',')[0]},${base}L${line[0].split(',')[0]},${base}Z`
+            });
+            add(svg, 'path', { class: 'tide-plot-line marine-plot-seas', d: `M${line.join('L')}` });
+        }
+
+        // The vessel's limits as dashed reference lines
+        for (const [limit, y, unit] of [[limits?.wind, yWind, 'kt'], [limits?.seas, ySeas, 'ft']]) {
+            if (!limit) continue;
+            add(svg, 'line', { class: 'marine-plot-limit', x1: m.l, x2: W - m.r, y1: y(limit), y2: y(limit) });
+            add(svg, 'text', {
+                x: W - m.r, y: y(limit) - 4, 'text-anchor': 'end', class: 'tide-plot-axis'
+            }, `${limit} ${unit} limit`);
+        }
+
+        // Gusts as short ticks over their period
+        for (const s of steps) {
+            if (!s.p.wind?.gust) continue;
+            const xa = x(s.range.start.getTime()), xb = x(s.range.end.getTime());
+            add(svg, 'line', {
+                class: 'marine-plot-gust', x1: xa + 2, x2: xb - 2, y1: yWind(s.p.wind.gust), y2: yWind(s.p.wind.gust)
+            });
+        }
+
+        const now = Date.now();
+        if (now >= t0 && now <= t1) {
+            add(svg, 'line', { class: 'tide-plot-now', x1: x(now), y1: m.t, x2: x(now), y2: H - m.b });
+            add(svg, 'text', {
+                x: x(now), y: m.t - 5, 'text-anchor': 'middle', class: 'tide-plot-now-label'
+            }, 'Now');
+        }
+
+        // Crosshair + tooltip (hover and keyboard), one stop per period
+        const cross = add(svg, 'g', { class: 'tide-plot-cross', visibility: 'hidden' });
+        const crossLine = add(cross, 'line', { y1: m.t, y2: H - m.b });
+        const windDot = add(cross, 'circle', { r: 4 });
+        const seasDot = add(cross, 'circle', { r: 4, class: 'marine-plot-seas-dot' });
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tide-plot-tooltip';
+        tooltip.hidden = true;
+        const tipValue = document.createElement('strong');
+        const tipTime = document.createElement('span');
+        tooltip.appendChild(tipValue);
+        tooltip.appendChild(tipTime);
+
+        let idx = -1;
+        const showIdx = (i) => {
+            idx = Math.min(Math.max(i, 0), steps.length - 1);
+            const { p, range } = steps[idx];
+            const px = (x(range.start.getTime()) + x(range.end.getTime())) / 2;
+            crossLine.setAttribute('x1', px);
+            crossLine.setAttribute('x2', px);
+            for (const [dot, show, cy] of [[windDot, p.wind, yWind(MarineText.maxWind(p))],
+                [seasDot, p.waves, ySeas(MarineText.maxSeas(p))]]) {
+                dot.setAttribute('cx', px);
+                dot.setAttribute('cy', cy);
+                dot.setAttribute('visibility', show ? 'visible' : 'hidden');
+            }
+            cross.setAttribute('visibility', 'visible');
+            tipValue.textContent = [MarineText.describeWind(p.wind),
+                p.waves ? `seas ${MarineText.describeSeas(p.waves)}` : ''].filter(Boolean).join(', ');
+            tipTime.textContent = `${p.name} · ${this.getPeriodTime(range)}`;
+            tooltip.hidden = false;
+            const rect = svg.getBoundingClientRect();
+            const top = p.wind ? yWind(MarineText.maxWind(p)) : ySeas(MarineText.maxSeas(p));
+            tooltip.style.left = `${px / W * rect.width}px`;
+            tooltip.style.top = `${top / H * rect.height}px`;
+            tooltip.classList.toggle('flip', px > W * 0.72);
+        };
+        const hide = () => {
+            cross.setAttribute('visibility', 'hidden');
+            tooltip.hidden = true;
+            idx = -1;
+        };
+
+        svg.addEventListener('pointermove', (e) => {
+            const rect = svg.getBoundingClientRect();
+            const sx = (e.clientX - rect.left) / rect.width * W;
+            const t = t0 + (sx - m.l) / plotW * (t1 - t0);
+            const i = steps.findIndex(s => t < s.range.end.getTime());
+            showIdx(i === -1 ? steps.length - 1 : i);
+        });
+        svg.addEventListener('pointerleave', hide);
+        svg.addEventListener('focus', () => showIdx(0));
+        svg.addEventListener('blur', hide);
+        svg.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') { showIdx(idx < 0 ? 0 : idx - 1); e.preventDefault(); }
+            else if (e.key === 'ArrowRight') { showIdx(idx < 0 ? 0 : idx + 1); e.preventDefault(); }
+            else if (e.key === 'Home') { showIdx(0); e.preventDefault(); }
+            else if (e.key === 'End') { showIdx(steps.length - 1); e.preventDefault(); }
+        });
+
+        wrap.appendChild(svg);
+        wrap.appendChild(tooltip);
+    }
+
+    /**
+     * Render a zone headline, colored by hazard severity
+     * @param {string} headline - Headline text
+     * @returns {string} HTML string
+     */
+    renderHeadline(headline) {
+        const hazard = MarineText.hazardOf(headline);
+        return `
+            <div class="zone-headline${hazard ? ` hazard-${hazard.level}` : ''}">
+                ${hazard ? `<span class="hazard-icon" aria-hidden="true">${hazard.icon}</span>` : ''}${this.esc(headline)}
+            </div>
+        `;
+    }
+
+    /**
+     * Remember the last two issuances of each zone's text, so a reissued CWF
+     * can be compared with the version read before it.
+     * @param {string} zoneId - Zone ID
+     * @param {string} issued - Product issuance time (ISO)
+     * @param {string} text - Zone forecast text
+     * @returns {Object|null} The earlier issuance { issued, text }, if known
+     */
+    recordIssuance(zoneId, issued, text) {
+        let history = {};
+        try {
+            history = JSON.parse(localStorage.getItem('boatsafe_cwf_history')) || {};
+        } catch (error) {
+            history = {};
+        }
+
+        // The API says "+00:00" where raw-text parsing says ".000Z"; the same
+        // issuance must not count as a new one
+        const normalize = t => (t && !isNaN(new Date(t)) ? new Date(t).toISOString() : t);
+        const entry = history[zoneId] || {};
+        if (normalize(entry.current?.issued) !== normalize(issued)) {
+            if (entry.current) entry.previous = entry.current;
+            entry.current = { issued: normalize(issued), text };
+            history[zoneId] = entry;
+            try {
+                localStorage.setItem('boatsafe_cwf_history', JSON.stringify(history));
+            } catch (error) {
+                console.warn('Failed to save forecast history:', error);
             }
         }
-        
-        if (zoneEndIndex === -1) {
-            zoneEndIndex = lines.length;
+        return entry.previous || null;
+    }
+
+    /**
+     * Render what changed since the previous issuance, e.g.
+     * "Tonight: SW 15 kt → SW 25 kt, seas 4 ft → 7 ft".
+     * @param {Object|null} previous - Earlier issuance { issued, text }
+     * @param {string} issued - Current issuance time
+     * @param {string} zoneText - Current zone text
+     * @returns {string} HTML string
+     */
+    renderChanges(previous, issued, zoneText) {
+        if (!previous) return '';
+        // Period names are relative ("TONIGHT"); across more than a day they
+        // no longer refer to the same hours, so a diff would mislead.
+        if (new Date(issued) - new Date(previous.issued) > 24 * 3600 * 1000) return '';
+
+        const diff = MarineText.diffZone(previous.text, zoneText);
+        const since = this.formatIssued(previous.issued);
+        const change = c => `${c.label ? c.label + ' ' : ''}<del>${this.esc(c.from || 'none')}</del> → <ins>${this.esc(c.to || 'none')}</ins>`;
+        const items = [
+            ...diff.headlines.added.map(h => `<li><strong>New:</strong> ${this.esc(h)}</li>`),
+            ...diff.headlines.removed.map(h => `<li><strong>Dropped:</strong> <del>${this.esc(h)}</del></li>`),
+            ...diff.periods.map(p =>
+                `<li><strong>${this.esc(this.titleCase(p.name))}:</strong> ${p.changes.map(change).join(', ')}</li>`)
+        ];
+
+        if (!items.length) {
+            return `<div class="forecast-changes no-changes">No changes for this zone since the ${since} forecast.</div>`;
         }
-        
-        return lines.slice(zoneStartIndex, zoneEndIndex).join('\n').trim();
+        return `
+            <details class="forecast-changes" open>
+                <summary>Changed since the ${since} forecast</summary>
+                <ul>${items.join('')}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Format an issuance time, e.g. "Oct 19, 04:19 AM"
+     * @param {string} date - ISO date string
+     * @returns {string} Formatted date string
+     */
+    formatIssued(date) {
+        try {
+            return new Date(date).toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+        } catch (error) {
+            return 'previous';
+        }
+    }
+
+    /**
+     * Extract forecast text for specific zone
+     * @param {string} fullText - Complete forecast text
+     * @param {string} zoneId - Zone ID to extract
+     * @returns {string|null} Zone-specific forecast text
+     */
+    extractZoneForecast(fullText, zoneId) {
+        return ForecastSummary.extractZoneForecast(fullText, zoneId);
+    }
+
+    // Static so other widgets (e.g. the route forecast) can slice products too.
+    // Zones are matched through the segment's UGC line, so ranges count.
+    static extractZoneForecast(fullText, zoneId) {
+        return MarineText.zoneSegment(fullText, zoneId)?.text || null;
+    }
+
+    esc(s) {
+        return String(s).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
     }
 
     /**
@@ -542,6 +1563,7 @@ class ForecastSummary {
      */
     clear() {
         this.currentData = null;
+        this.currentZone = null;
         this.content.innerHTML = '<div class="loading">Select a zone to view forecast</div>';
     }
 
@@ -554,34 +1576,149 @@ class ForecastSummary {
     }
 
     /**
-     * Export forecast data as text
-     * @returns {string} Text representation
+     * The zone on screen as plain text: headlines, then each period with its
+     * clock times, with issuance and expiry so a forwarded copy dates itself
+     * @returns {string} Text representation ('' before a zone is shown)
      */
     exportAsText() {
-        if (!this.currentData) return '';
-        
-        const { zoneName, issued, periods } = this.currentData;
-        
-        let text = `Marine Forecast for ${zoneName}\n`;
-        text += `Updated: ${this.formatDate(issued)}\n\n`;
-        
-        periods.forEach(period => {
-            text += `${period.name}:\n`;
-            text += `${period.summary}\n\n`;
+        if (!this.currentZone) return '';
+
+        const { zoneId, zoneName, issued, expires, headlines, periods, times, source, product } = this.currentZone;
+        let text = `Marine Forecast: ${zoneId} - ${zoneName}\n`;
+        text += `Issued: ${this.formatIssued(issued)}`;
+        if (expires) text += ` · Expires: ${this.formatIssued(expires)}`;
+        text += '\n';
+        if (source) text += `Source: ${this.sourceLabel(source, product)}\n`;
+        if (!this.isCurrent()) text += 'WARNING: this forecast has expired; check for a newer issuance.\n';
+        text += '\n';
+
+        headlines.forEach(h => { text += `...${h}...\n`; });
+        if (headlines.length) text += '\n';
+
+        periods.forEach((period, i) => {
+            const when = times[i] ? ` (${this.getPeriodTime(times[i])})` : '';
+            text += `${period.name}${when}: ${period.text}\n`;
         });
-        
+
+        return text;
+    }
+
+    /**
+     * Whole-trip briefing: the zone forecast plus the zone's active alerts and
+     * today's tide and current events at the saved stations. Alerts and tides
+     * come from their widgets; missing pieces are noted rather than failing.
+     * @returns {Promise<string>} Briefing text ('' before a zone is shown)
+     */
+    async buildBriefing() {
+        const forecast = this.exportAsText();
+        if (!forecast) return '';
+        const { zoneId } = this.currentZone;
+        const widgets = window.BoatSafe.app?.widgets || {};
+        const rule = '-'.repeat(40);
+        let text = `BOAT SAFE BRIEFING - ${this.formatIssued(new Date())}\n${rule}\n\n${forecast}\n`;
+
+        text += `${rule}\nACTIVE ALERTS FOR ${zoneId}\n`;
+        this.statementsFor(zoneId).forEach(st => {
+            text += `${ForecastSummary.STATEMENT_TYPES[st.type]} - NWS ${st.office}, expires ${this.formatIssued(st.expires)}\n`;
+            if (st.headlines[0]) text += `  ${st.headlines[0]}\n`;
+        });
+        if (!widgets.weather) {
+            text += 'Alerts not loaded.\n';
+        } else {
+            const alerts = widgets.weather.alertsFor(zoneId);
+            if (!alerts.length && !this.statementsFor(zoneId).length) text += 'None in effect.\n';
+            alerts.forEach(({ properties: p }) => {
+                text += `${p.event || 'Weather Alert'} (${p.severity || 'Unknown'})`;
+                if (p.effective && p.expires) {
+                    text += `, ${this.formatIssued(p.effective)} to ${this.formatIssued(p.expires)}`;
+                }
+                text += p.senderName ? ` - ${p.senderName}\n` : '\n';
+                if (p.headline) text += `  ${p.headline}\n`;
+            });
+        }
+
+        if (widgets.tidesCurrents) {
+            const { tide, current } = await widgets.tidesCurrents.briefing();
+            const fmt = (d) => widgets.tidesCurrents.formatTime(d);
+            text += `\n${rule}\nTODAY'S TIDES AND CURRENTS (NOAA predictions)\n`;
+            if (tide) {
+                text += `Tides - ${tide.name}:\n`;
+                tide.events.forEach(e => {
+                    text += `  ${e.type === 'high' ? 'High' : 'Low '} ${fmt(e.time)}  ${e.height.toFixed(1)} ft\n`;
+                });
+            } else {
+                text += 'No tide station selected.\n';
+            }
+            if (current) {
+                text += `Currents - ${current.name}:\n`;
+                current.events.forEach(e => {
+                    const kind = e.type === 'flood' ? 'Max flood' : e.type === 'ebb' ? 'Max ebb' : 'Slack';
+                    text += `  ${kind} ${fmt(e.time)}${e.velocity ? `  ${Math.abs(e.velocity).toFixed(1)} kt` : ''}\n`;
+                });
+            } else {
+                text += 'No current station selected.\n';
+            }
+        }
+
+        text += `\n${rule}\nSource: NWS / NOAA. Check official forecasts before departure.\n`;
         return text;
     }
 
     /**
-     * Check if forecast is current
+     * Copy, share (Web Share API) or download the briefing
+     * @param {string} action - 'copy' | 'share' | 'download'
+     * @param {HTMLElement} [btn] - Button to show the outcome on
+     */
+    async exportBriefing(action, btn) {
+        const flash = (label) => {
+            if (!btn) return;
+            const original = btn.dataset.label || (btn.dataset.label = btn.textContent);
+            btn.textContent = label;
+            setTimeout(() => { btn.textContent = original; }, 2000);
+        };
+
+        try {
+            const text = await this.buildBriefing();
+            if (!text) return;
+            const { zoneId } = this.currentZone;
+            const title = `Marine briefing ${zoneId}`;
+
+            if (action === 'share' && navigator.share) {
+                await navigator.share({ title, text });
+            } else if (action === 'download') {
+                const day = new Date().toISOString().slice(0, 10);
+                const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `boatsafe-${zoneId}-${day}.txt`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                flash('Downloaded');
+            } else {
+                await navigator.clipboard.writeText(text);
+                flash('Copied');
+            }
+        } catch (error) {
+            // Dismissing the share sheet rejects with AbortError: not a failure
+            if (error.name === 'AbortError') return;
+            console.error('Briefing export failed:', error);
+            flash('Failed');
+        }
+    }
+
+    /**
+     * Check if forecast is current: before the segment's UGC expiry, or
+     * issued less than 12 hours ago when the segment gives none
      * @returns {boolean} Whether forecast is current
      */
     isCurrent() {
-        if (!this.currentData || !this.currentData.issued) return false;
-        
+        if (!this.currentZone || !this.currentZone.issued) return false;
+
         const now = new Date();
-        const issued = new Date(this.currentData.issued);
+        if (this.currentZone.expires) return now <= this.currentZone.expires;
+        const issued = new Date(this.currentZone.issued);
         const diffHours = (now - issued) / (1000 * 60 * 60);
         
         return diffHours < 12; // Consider current if less than 12 hours old
@@ -591,4 +1728,9 @@ class ForecastSummary {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.ForecastSummary = ForecastSummary;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForecastSummary;
 }
\ No newline at end of file
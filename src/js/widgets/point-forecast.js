@@ -0,0 +1,434 @@
+/**
+ * PointForecast - hourly NWS gridpoint forecast for one spot (an anchorage,
+ * a fishing ground), opened by long-pressing any TideMap. The CWF covers a
+ * whole zone; the gridpoint series is the same model data at 2.5 km.
+ *
+ * api.weather.gov/points/{lat},{lon} names the office grid cell, whose
+ * forecastGridData carries each element as ISO-interval layers
+ * ("2026-10-19T12:00:00+00:00/PT3H"). Those are expanded to hourly values
+ * in knots, feet and percent before charting.
+ */
+class PointForecast {
+    static POINTS_URL = 'https://api.weather.gov/points/';
+    static HOURS = 72;
+    static GRID_TTL = 60 * 60 * 1000;           // 1 hour, the grid's own refresh rate
+
+    // forecastGridData URL -> { at, data }. The raw grid runs to megabytes,
+    // too big for the localStorage cache, so only the hourly series is kept,
+    // and only in memory
+    static grids = new Map();
+
+    // Grid elements charted, and how to bring each into display units
+    static ELEMENTS = ['windSpeed', 'windGust', 'windDirection', 'waveHeight', 'probabilityOfPrecipitation'];
+
+    static UNITS = {
+        'wmoUnit:km_h-1': v => v * 0.539957,        // km/h -> kt
+        'wmoUnit:m_s-1': v => v * 1.943844,         // m/s -> kt
+        'wmoUnit:m': v => v * 3.28084,              // m -> ft
+        'wmoUnit:degree_(angle)': v => v,
+        'wmoUnit:percent': v => v
+    };
+
+    static COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+    /**
+     * @param {HTMLElement} container - Panel the forecast renders into
+     */
+    constructor(container) {
+        this.container = container;
+        this.request = 0;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.point-forecast-close')) this.close();
+        });
+    }
+
+    /**
+     * Fetch and show the hourly forecast for a spot
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude (west negative; -190 style is normalized)
+     */
+    async show(lat, lon) {
+        const request = ++this.request;
+        lon = lon < -180 ? lon + 360 : lon;
+        this.container.hidden = false;
+        this.container.innerHTML = `
+            ${this.renderHeader(lat, lon)}
+            <div class="loading">Loading hourly forecast...</div>
+        `;
+
+        try {
+            const data = await PointForecast.fetch(lat, lon);
+            if (request !== this.request) return;
+            this.render(data);
+        } catch (error) {
+            if (request !== this.request) return;
+            console.error('Failed to load point forecast:', error);
+            this.container.innerHTML = `
+                ${this.renderHeader(lat, lon)}
+                <div class="status-message status-error">
+                    <strong>Error:</strong> No gridpoint forecast for this spot: ${this.esc(error.message)}
+                </div>
+            `;
+        }
+    }
+
+    close() {
+        this.request++;
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Resolve a spot to its grid cell and load the hourly series
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { lat, lon, office, gridX, gridY, updated, hours }
+     */
+    static async fetch(lat, lon) {
+        // The API redirects anything past four decimals
+        const key = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+        const parse = r => (typeof r === 'string' ? JSON.parse(r) : r);
+        const point = parse(await window.BoatSafe.http.get(
+            `${PointForecast.POINTS_URL}${key}`, { cacheTTL: 10080 })); // 7 days; grids rarely move
+        const props = point?.properties || {};
+        if (!props.forecastGridData) throw new Error('point is outside the NWS forecast grid');
+
+        const url = props.forecastGridData;
+        const cached = PointForecast.grids.get(url);
+        if (cached && Date.now() - cached.at < PointForecast.GRID_TTL) return { ...cached.data, lat, lon };
+
+        const grid = parse(await window.BoatSafe.http.get(url, { cacheTTL: 0, skipCache: true }));
+        const gp = grid?.properties || {};
+        const hours = PointForecast.hourly(gp, Date.now(), PointForecast.HOURS);
+        if (!hours.some(h => h.wind !== null || h.seas !== null)) {
+            throw new Error('the grid has no wind or wave data here');
+        }
+
+        const data = {
+            lat, lon,
+            office: props.gridId || props.cwa,
+            gridX: props.gridX,
+            gridY: props.gridY,
+            updated: gp.updateTime || gp.updated,
+            hours
+        };
+        PointForecast.grids.set(url, { at: Date.now(), data });
+        return data;
+    }
+
+    /**
+     * Parse an ISO 8601 interval like "2026-10-19T12:00:00+00:00/PT3H"
+     * @param {string} validTime - Interval string
+     * @returns {Object|null} { start: ms, hours }
+     */
+    static parseValidTime(validTime) {
+        const [start, duration] = String(validTime).split('/');
+        const t = Date.parse(start);
+        const m = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+        if (isNaN(t) || !m) return null;
+        const hours = (parseInt(m[1] || 0, 10) * 24) + parseInt(m[2] || 0, 10) + (parseInt(m[3] || 0, 10) / 60);
+        return { start: t, hours: Math.max(hours, 1) };
+    }
+
+    /**
+     * Expand one grid layer to hourly values from `from`
+     * @param {Object} layer - { uom, values: [{ validTime, value }] }
+     * @param {number} from - Start (ms, on the hour)
+     * @param {number} count - Number of hours
+     * @returns {Array} count values in display units, null where missing
+     */
+    static expand(layer, from, count) {
+        const out = new Array(count).fill(null);
+        const convert = PointForecast.UNITS[layer?.uom] || (v => v);
+        for (const { validTime, value } of layer?.values || []) {
+            const range = PointForecast.parseValidTime(validTime);
+            if (!range || value === null || value === undefined) continue;
+            const first = Math.max(0, Math.round((range.start - from) / 3600000));
+            const last = Math.min(count, Math.round((range.start + range.hours * 3600000 - from) / 3600000));
+            for (let i = first; i < last; i++) out[i] = convert(value);
+        }
+        return out;
+    }
+
+    /**
+     * Hourly rows for the charted elements
+     * @param {Object} props - forecastGridData properties
+     * @param {number} now - Current time (ms)
+     * @param {number} count - Number of hours
+     * @returns {Array} { time, wind, gust, direction, seas, pop }
+     */
+    static hourly(props, now, count) {
+        const from = Math.floor(now / 3600000) * 3600000;
+        const [wind, gust, direction, seas, pop] = PointForecast.ELEMENTS
+            .map(el => PointForecast.expand(props[el], from, count));
+        const round = (v, dp = 0) => (v === null ? null : Math.round(v * 10 ** dp) / 10 ** dp);
+        return wind.map((_, i) => ({
+            time: new Date(from + i * 3600000),
+            wind: round(wind[i]),
+            gust: round(gust[i]),
+            direction: round(direction[i]),
+            seas: round(seas[i], 1),
+            pop: round(pop[i])
+        }));
+    }
+
+    static compass(deg) {
+        if (deg === null) return '';
+        return PointForecast.COMPASS[Math.round(deg / 22.5) % 16];
+    }
+
+    static describe(h) {
+        return [
+            h.wind !== null ? `${PointForecast.compass(h.direction)} ${h.wind} kt`.trim() : '',
+            h.gust ? `gusts ${h.gust}` : '',
+            h.seas !== null ? `seas ${h.seas} ft` : '',
+            h.pop ? `precip ${h.pop}%` : ''
+        ].filter(Boolean).join(', ');
+    }
+
+    renderHeader(lat, lon, data) {
+        const ns = lat >= 0 ? 'N' : 'S', ew = lon >= 0 ? 'E' : 'W';
+        return `
+            <div class="forecast-header">
+                <strong>Hourly forecast ${Math.abs(lat).toFixed(3)}&deg; ${ns}, ${Math.abs(lon).toFixed(3)}&deg; ${ew}</strong>
+                <button type="button" class="map-region-btn point-forecast-close" aria-label="Close hourly forecast">Close</button>
+                ${data ? `<div class="forecast-meta">
+                    <small>NWS ${this.esc(data.office || '')} grid ${data.gridX},${data.gridY}${data.updated
+                        ? ` · updated ${new Date(data.updated).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })}` : ''}</small>
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    render(data) {
+        const rows = data.hours.filter(h => h.wind !== null || h.seas !== null);
+        const fmtHour = t => t.toLocaleString('en-US', { weekday: 'short', hour: 'numeric' });
+        this.container.innerHTML = `
+            ${this.renderHeader(data.lat, data.lon, data)}
+            <div class="tide-plot-wrap point-plot-wrap"></div>
+            <details class="forecast-raw">
+                <summary>Hourly table</summary>
+                <table class="obs-table point-table">
+                    <thead><tr><th>Time</th><th>Wind</th><th>Gust</th><th>Seas</th><th>Precip</th></tr></thead>
+                    <tbody>
+                        ${rows.map(h => `<tr>
+                            <td>${fmtHour(h.time)}</td>
+                            <td>${h.wind !== null ? `${PointForecast.compass(h.direction)} ${h.wind} kt` : ''}</td>
+                            <td>${h.gust !== null ? `${h.gust} kt` : ''}</td>
+                            <td>${h.seas !== null ? `${h.seas} ft` : ''}</td>
+                            <td>${h.pop !== null ? `${h.pop}%` : ''}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+        this.buildPlot(this.container.querySelector('.point-plot-wrap'), data.hours,
+            window.BoatSafe.vessel?.active);
+    }
+
+    /**
+     * Hourly chart in three panels: wind (speed line, gust dots, direction
+     * arrows), seas, and chance of precipitation. Shares the tide-plot look
+     * and crosshair; the vessel's wind and seas limits are drawn dashed.
+     * @param {HTMLElement} wrap - Container
+     * @param {Array} hours - From hourly()
+     * @param {Object} [limits] - Vessel profile
+     */
+    buildPlot(wrap, hours, limits) {
+        if (!wrap || hours.length < 2) return;
+        const NS = 'http://www.w3.org/2000/svg';
+        const W = 640, H = 330;
+        const m = { l: 40, r: 14, t: 30, b: 26 };
+        const gap = 22;
+        const plotW = W - m.l - m.r;
+        const windH = 120, popH = 44;
+        const seasH = H - m.t - m.b - windH - popH - 2 * gap;
+        const windTop = m.t, seasTop = windTop + windH + gap, popTop = seasTop + seasH + gap;
+        const t0 = hours[0].time.getTime();
+        const t1 = hours[hours.length - 1].time.getTime() + 3600000;
+        const has = key => hours.some(h => h[key] !== null);
+
+        const scale = (max, steps) => {
+            const step = steps.find(s => max / s <= 4) || steps[steps.length - 1];
+            return { step, hi: Math.max(Math.ceil(max / step) * step, step) };
+        };
+        const wind = scale(Math.max(limits?.wind || 0, ...hours.map(h => Math.max(h.wind || 0, h.gust || 0))) * 1.1,
+            [5, 10, 20]);
+        const seas = scale(Math.max(limits?.seas || 0, ...hours.map(h => h.seas || 0)) * 1.1, [1, 2, 5, 10]);
+
+        const x = t => m.l + ((t - t0) / (t1 - t0)) * plotW;
+        const xMid = h => x(h.time.getTime() + 1800000);
+        const yWind = v => windTop + (1 - v / wind.hi) * windH;
+        const ySeas = v => seasTop + (1 - v / seas.hi) * seasH;
+        const yPop = v => popTop + (1 - v / 100) * popH;
+
+        const svg = document.createElementNS(NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+        svg.setAttribute('class', 'tide-plot marine-plot point-plot');
+        svg.setAttribute('tabindex', '0');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Hourly wind, seas and precipitation chance for this spot. ' +
+            'Use the arrow keys to step through hours, or open the hourly table.');
+
+        const add = (parent, tag, attrs, text) => {
+            const el = document.createElementNS(NS, tag);
+            for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+            if (text !== undefined) el.textContent = text;
+            parent.appendChild(el);
+            return el;
+        };
+
+        const grid = add(svg, 'g', { class: 'tide-plot-grid' });
+        const hLines = (y, { step, hi }, unit) => {
+            for (let v = 0; v <= hi; v += step) {
+                add(grid, 'line', { x1: m.l, y1: y(v), x2: W - m.r, y2: y(v) });
+                add(svg, 'text', { x: m.l - 6, y: y(v) + 3.5, 'text-anchor': 'end', class: 'tide-plot-axis' },
+                    `${v} ${unit}`);
+            }
+        };
+        hLines(yWind, wind, 'kt');
+        add(svg, 'text', { x: m.l, y: windTop - 18, class: 'tide-plot-axis' }, 'Wind');
+        if (has('seas')) {
+            hLines(ySeas, seas, 'ft');
+            add(svg, 'text', { x: m.l, y: seasTop - 6, class: 'tide-plot-axis' }, 'Seas');
+        } else {
+            add(svg, 'text', { x: m.l + plotW / 2, y: seasTop + seasH / 2, 'text-anchor': 'middle', class: 'tide-plot-axis' },
+                'No wave data for this grid cell');
+        }
+        hLines(yPop, { step: 50, hi: 100 }, '%');
+        add(svg, 'text', { x: m.l, y: popTop - 6, class: 'tide-plot-axis' }, 'Precip');
+
+        // Midnight ticks with day names
+        const first = new Date(t0);
+        for (let d = new Date(first.getFullYear(), first.getMonth(), first.getDate()); d.getTime() < t1;
+            d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+            const next = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+            const xa = x(Math.max(d.getTime(), t0)), xb = x(Math.min(next.getTime(), t1));
+            if (d.getTime() > t0) add(grid, 'line', { x1: xa, y1: m.t, x2: xa, y2: H - m.b });
+            if (xb - xa > 24) {
+                add(svg, 'text', { x: (xa + xb) / 2, y: H - m.b + 15, 'text-anchor': 'middle', class: 'tide-plot-axis' },
+                    d.toLocaleDateString('en-US', { weekday: 'short' }));
+            }
+        }
+
+        // Lines break across missing hours
+        const line = (key, y) => {
+            let d = '', pen = false;
+            for (const h of hours) {
+                if (h[key] === null) { pen = false; continue; }
+                d += `${pen ? 'L' : 'M'}${xMid(h).toFixed(1)},${y(h[key]).toFixed(1)}`;
+                pen = true;
+            }
+            return d;
+        };
+        if (has('wind')) add(svg, 'path', { class: 'tide-plot-line', d: line('wind', yWind) });
+        for (const h of hours) {
+            if (h.gust === null) continue;
+            add(svg, 'circle', { class: 'point-plot-gust', cx: xMid(h).toFixed(1), cy: yWind(h.gust).toFixed(1), r: 1.8 });
+        }
+        if (has('seas')) {
+            add(svg, 'path', { class: 'tide-plot-line marine-plot-seas', d: line('seas', ySeas) });
+        }
+        const barW = Math.max(plotW / hours.length - 1, 1);
+        for (const h of hours) {
+            if (!h.pop) continue;
+            add(svg, 'rect', {
+                class: 'point-plot-pop', x: (xMid(h) - barW / 2).toFixed(1), y: yPop(h.pop).toFixed(1),
+                width: barW.toFixed(1), height: (yPop(0) - yPop(h.pop)).toFixed(1)
+            });
+        }
+
+        // Direction arrows every third hour, pointing where the wind blows
+        for (let i = 0; i < hours.length; i += 3) {
+            const h = hours[i];
+            if (h.direction === null) continue;
+            add(svg, 'path', {
+                class: 'point-plot-arrow', d: 'M0,-5L3.5,4L0,2L-3.5,4Z',
+                transform: `translate(${xMid(h).toFixed(1)},${windTop - 8}) rotate(${(h.direction + 180) % 360})`
+            });
+        }
+
+        for (const [limit, y, unit] of [[limits?.wind, yWind, 'kt'], [has('seas') && limits?.seas, ySeas, 'ft']]) {
+            if (!limit) continue;
+            add(svg, 'line', { class: 'marine-plot-limit', x1: m.l, x2: W - m.r, y1: y(limit), y2: y(limit) });
+            add(svg, 'text', { x: W - m.r, y: y(limit) - 4, 'text-anchor': 'end', class: 'tide-plot-axis' },
+                `${limit} ${unit} limit`);
+        }
+
+        // Crosshair + tooltip, one stop per hour
+        const cross = add(svg, 'g', { class: 'tide-plot-cross', visibility: 'hidden' });
+        const crossLine = add(cross, 'line', { y1: m.t, y2: H - m.b });
+        const windDot = add(cross, 'circle', { r: 4 });
+        const seasDot = add(cross, 'circle', { r: 4, class: 'marine-plot-seas-dot' });
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tide-plot-tooltip';
+        tooltip.hidden = true;
+        const tipValue = document.createElement('strong');
+        const tipTime = document.createElement('span');
+        tooltip.appendChild(tipValue);
+        tooltip.appendChild(tipTime);
+
+        let idx = -1;
+        const showIdx = (i) => {
+            idx = Math.min(Math.max(i, 0), hours.length - 1);
+            const h = hours[idx];
+            const px = xMid(h);
+            crossLine.setAttribute('x1', px);
+            crossLine.setAttribute('x2', px);
+            for (const [dot, v, y] of [[windDot, h.wind, yWind], [seasDot, h.seas, ySeas]]) {
+                dot.setAttribute('cx', px);
+                dot.setAttribute('cy', v === null ? 0 : y(v));
+                dot.setAttribute('visibility', v === null ? 'hidden' : 'visible');
+            }
+            cross.setAttribute('visibility', 'visible');
+            tipValue.textContent = PointForecast.describe(h) || 'No data';
+            tipTime.textContent = h.time.toLocaleString('en-US', { weekday: 'short', hour: 'numeric' });
+            tooltip.hidden = false;
+            const rect = svg.getBoundingClientRect();
+            tooltip.style.left = `${px / W * rect.width}px`;
+            tooltip.style.top = `${(h.wind !== null ? yWind(h.wind) : m.t) / H * rect.height}px`;
+            tooltip.classList.toggle('flip', px > W * 0.72);
+        };
+        const hide = () => {
+            cross.setAttribute('visibility', 'hidden');
+            tooltip.hidden = true;
+            idx = -1;
+        };
+
+        svg.addEventListener('pointermove', (e) => {
+            const rect = svg.getBoundingClientRect();
+            const sx = (e.clientX - rect.left) / rect.width * W;
+            showIdx(Math.floor((sx - m.l) / plotW * hours.length));
+        });
+        svg.addEventListener('pointerleave', hide);
+        svg.addEventListener('focus', () => showIdx(0));
+        svg.addEventListener('blur', hide);
+        svg.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') { showIdx(idx < 0 ? 0 : idx - 1); e.preventDefault(); }
+            else if (e.key === 'ArrowRight') { showIdx(idx < 0 ? 0 : idx + 1); e.preventDefault(); }
+            else if (e.key === 'Home') { showIdx(0); e.preventDefault(); }
+            else if (e.key === 'End') { showIdx(hours.length - 1); e.preventDefault(); }
+        });
+
+        wrap.appendChild(svg);
+        wrap.appendChild(tooltip);
+    }
+
+    esc(s) {
+        return String(s).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PointForecast = PointForecast;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PointForecast;
+}
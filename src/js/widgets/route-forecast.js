@@ -0,0 +1,414 @@
+/**
+ * Route Forecast Widget
+ * An ordered list of marine zones along a planned passage (e.g. Juneau →
+ * Stephens Passage → Frederick Sound → Chatham Strait), possibly spanning
+ * several CWF products. Each zone's periods are lined up by their clock
+ * times in one table, and the roughest segment is flagged.
+ */
+class RouteForecast {
+    constructor() {
+        this.container = document.getElementById('route-forecast');
+        this.content = this.container.querySelector('.route-forecast-content');
+        this.toggleButton = document.getElementById('route-toggle');
+        this.zoneDropdown = document.getElementById('route-zone-dropdown');
+        this.addButton = this.container.querySelector('.route-add-btn');
+        this.zoneList = this.container.querySelector('.route-zone-list');
+        this.display = this.container.querySelector('.route-forecast-display');
+        this.isExpanded = true;
+        this.zoneNames = {};    // zoneId -> name, across all regions
+        this.regions = {};      // zones.json regions
+        this.route = [];        // ordered zone ids
+        this.segments = null;   // last loaded route, re-rendered when limits change
+
+        this.init();
+    }
+
+    init() {
+        this.setupToggleButton();
+        this.setupEventListeners();
+        window.BoatSafe.vessel?.subscribe(() => {
+            if (this.segments) this.render(this.segments);
+        });
+        this.loadZones();
+    }
+
+    setupToggleButton() {
+        if (!this.toggleButton) return;
+        this.toggleButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.isExpanded = !this.isExpanded;
+            this.content.style.display = this.isExpanded ? 'block' : 'none';
+            this.toggleButton.setAttribute('aria-expanded', String(this.isExpanded));
+            const chevron = this.toggleButton.querySelector('.chevron-icon');
+            if (chevron) chevron.classList.toggle('expanded', this.isExpanded);
+        });
+    }
+
+    setupEventListeners() {
+        // Regions listed without zones offer a "load zones" entry instead
+        if (this.zoneDropdown) {
+            this.zoneDropdown.addEventListener('change', () => {
+                const value = this.zoneDropdown.value;
+                if (value.startsWith('region:')) this.discoverRegion(value.slice(7));
+            });
+        }
+
+        if (this.addButton) {
+            this.addButton.addEventListener('click', () => {
+                const zoneId = this.zoneDropdown.value;
+                if (!zoneId || zoneId.startsWith('region:')) return;
+                this.route.push(zoneId);
+                this.saveRoute();
+            });
+        }
+
+        // Delegated: the list is re-rendered on every change
+        if (this.zoneList) {
+            this.zoneList.addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-action]');
+                if (!btn) return;
+                const i = parseInt(btn.dataset.index, 10);
+                if (btn.dataset.action === 'remove') {
+                    this.route.splice(i, 1);
+                } else {
+                    const j = btn.dataset.action === 'up' ? i - 1 : i + 1;
+                    if (j < 0 || j >= this.route.length) return;
+                    [this.route[i], this.route[j]] = [this.route[j], this.route[i]];
+                }
+                this.saveRoute();
+            });
+        }
+    }
+
+    async loadZones() {
+        try {
+            const response = await window.BoatSafe.http.get('./data/zones.json', { skipCache: true, cacheTTL: 0 });
+            const zones = typeof response === 'string' ? JSON.parse(response) : response;
+            this.regions = zones.regions || {};
+            ForecastSummary.registerRawUrls(this.regions);
+            ForecastSummary.restoreZones(this.regions);
+            this.populateZoneDropdown(this.regions);
+        } catch (error) {
+            console.error('Failed to load zones:', error);
+            this.showError('Failed to load marine zones');
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('boatsafe_route') || '[]');
+            // A saved route may use zones that are only known from their product
+            if (saved.some(id => !this.zoneNames[id])) {
+                await Promise.all(Object.keys(this.regions)
+                    .filter(id => !Object.keys(this.regions[id].zones).length)
+                    .map(id => this.discoverRegion(id)));
+            }
+            this.route = saved.filter(id => this.zoneNames[id]);
+        } catch (error) {
+            console.warn('Failed to restore route:', error);
+        }
+        this.renderZoneList();
+        this.loadRoute();
+    }
+
+    /**
+     * One option per zone, grouped by region, so a route can mix products
+     * @param {Object} regions - zones.json regions
+     */
+    populateZoneDropdown(regions) {
+        if (!this.zoneDropdown) return;
+        this.zoneDropdown.innerHTML = '<option value="">Add a zone...</option>';
+        for (const [regionId, region] of Object.entries(regions)) {
+            const group = document.createElement('optgroup');
+            group.label = region.name;
+            if (!Object.keys(region.zones).length) {
+                const option = document.createElement('option');
+                option.value = `region:${regionId}`;
+                option.textContent = `Load ${region.name} zones...`;
+                group.appendChild(option);
+            }
+            for (const [zoneId, zoneName] of Object.entries(region.zones)) {
+                this.zoneNames[zoneId] = zoneName;
+                const option = document.createElement('option');
+                option.value = zoneId;
+                option.textContent = `${zoneId} - ${zoneName}`;
+                group.appendChild(option);
+            }
+            this.zoneDropdown.appendChild(group);
+        }
+    }
+
+    /**
+     * Read a region's zones from its CWF or OFF product (see
+     * ForecastSummary.discoverZones) and refresh the dropdown
+     * @param {string} regionId - zones.json region id
+     */
+    async discoverRegion(regionId) {
+        const region = this.regions[regionId];
+        const product = ForecastSummary.regionProduct(region);
+        if (!product) return;
+        try {
+            const { text } = await ForecastSummary.fetchProductText(product.type, product.loc);
+            ForecastSummary.discoverZones(region, text);
+        } catch (error) {
+            console.warn(`Failed to load zones for ${region.name}:`, error);
+        }
+        const selected = this.zoneDropdown?.value;
+        this.populateZoneDropdown(this.regions);
+        if (this.zoneDropdown && !selected?.startsWith('region:')) this.zoneDropdown.value = selected || '';
+    }
+
+    saveRoute() {
+        try {
+            localStorage.setItem('boatsafe_route', JSON.stringify(this.route));
+        } catch (error) {
+            console.warn('Failed to save route:', error);
+        }
+        this.renderZoneList();
+        this.loadRoute();
+    }
+
+    renderZoneList() {
+        if (!this.zoneList) return;
+        const last = this.route.length - 1;
+        this.zoneList.innerHTML = this.route.map((zoneId, i) => `
+            <li class="route-zone">
+                <span class="route-zone-name">${zoneId} - ${this.esc(this.zoneNames[zoneId] || '')}</span>
+                <span class="route-zone-actions">
+                    <button data-action="up" data-index="${i}" ${i === 0 ? 'disabled' : ''} aria-label="Move earlier">&#9650;</button>
+                    <button data-action="down" data-index="${i}" ${i === last ? 'disabled' : ''} aria-label="Move later">&#9660;</button>
+                    <button data-action="remove" data-index="${i}" aria-label="Remove">&times;</button>
+                </span>
+            </li>`).join('');
+    }
+
+    /**
+     * Fetch each CWF product the route touches (once per product, in
+     * parallel), then slice out and parse every zone along the way.
+     */
+    async loadRoute() {
+        if (!this.route.length) {
+            this.showLoading('Add zones in passage order to build a route forecast');
+            return;
+        }
+        this.showLoading('Loading route forecast...');
+
+        // A passage can run from coastal (CWF) into offshore (OFF) zones
+        const wanted = new Map(this.route.map(z => ForecastSummary.zoneProduct(z)).filter(Boolean)
+            .map(p => [ForecastSummary.productKey(p), p]));
+        const products = {};
+        await Promise.all([...wanted].map(async ([key, { type, loc }]) => {
+            try {
+                products[key] = await ForecastSummary.fetchProductText(type, loc);
+            } catch (error) {
+                console.warn(`Failed to load ${key}:`, error);
+                products[key] = null;
+            }
+        }));
+
+        const segments = this.route.map(zoneId => {
+            const zoneProduct = ForecastSummary.zoneProduct(zoneId);
+            const loc = zoneProduct ? ForecastSummary.productKey(zoneProduct) : null;
+            const product = loc ? products[loc] : null;
+            const text = product ? ForecastSummary.extractZoneForecast(product.text, zoneId) : null;
+            const parsed = text ? MarineText.parseZone(text) : null;
+            return {
+                zoneId,
+                name: this.zoneNames[zoneId] || zoneId,
+                loc,
+                issued: product?.issuanceTime || null,
+                source: product?.source || null,
+                headlines: parsed?.headlines || [],
+                periods: parsed?.periods || [],
+                times: parsed ? MarineText.periodTimes(parsed.periods, product.issuanceTime || new Date()) : [],
+                available: !!parsed
+            };
+        });
+        this.segments = segments;
+        this.render(segments);
+    }
+
+    /**
+     * Route columns as the forecast's own 6 AM / 6 PM half-days, from each
+     * segment's period clock times (MarineText.periodTimes). Names can't line
+     * periods up: products issued at different times say "REST OF TODAY" or
+     * "TODAY" for the same hours, and an older segment may still start a
+     * period earlier.
+     * @param {Array} segments - Route segments, periods with `times` set
+     * @returns {Array<{start: Date, end: Date, label: string}>} Columns in time order
+     */
+    static alignPeriods(segments) {
+        const starts = new Map();
+        for (const seg of segments) {
+            for (const t of seg.times || []) {
+                if (!t) continue;
+                for (let slot = RouteForecast.slotStart(t.start); slot < t.end; slot = RouteForecast.nextSlot(slot)) {
+                    starts.set(slot.getTime(), slot);
+                }
+            }
+        }
+        return [...starts.values()].sort((a, b) => a - b).map(start => {
+            const night = start.getHours() === 18;
+            const day = start.toLocaleDateString('en-US', { weekday: 'short' });
+            return { start, end: RouteForecast.nextSlot(start), label: night ? `${day} night` : day };
+        });
+    }
+
+    /** The 6 AM or 6 PM (local) half-day a time falls in */
+    static slotStart(time) {
+        const d = new Date(time);
+        const hour = d.getHours() >= 18 ? 18 : d.getHours() >= 6 ? 6 : -6;
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate(), hour);
+    }
+
+    static nextSlot(slot) {
+        return new Date(slot.getFullYear(), slot.getMonth(), slot.getDate(), slot.getHours() + 12);
+    }
+
+    /**
+     * A segment's period for each column: the one overlapping it most, so a
+     * short "REST OF TODAY" still fills the day column
+     * @param {Object} seg - Route segment
+     * @param {Array} columns - From alignPeriods()
+     * @returns {Array} Period (or null) per column
+     */
+    static periodsFor(seg, columns) {
+        return columns.map(col => {
+            let best = null, bestOverlap = 0;
+            seg.periods.forEach((p, i) => {
+                const t = seg.times?.[i];
+                if (!t) return;
+                const overlap = Math.min(t.end, col.end) - Math.max(t.start, col.start);
+                if (overlap > bestOverlap) { bestOverlap = overlap; best = p; }
+            });
+            return best;
+        });
+    }
+
+    /**
+     * The segment holding the roughest period on the route
+     * @param {Array} segments - Route segments
+     * @returns {Object|null} { segment, period }
+     */
+    static worstSegment(segments) {
+        const worstBySegment = segments
+            .map(segment => ({ segment, period: MarineText.worstPeriod(segment.periods) }))
+            .filter(w => w.period);
+        const period = MarineText.worstPeriod(worstBySegment.map(w => w.period));
+        return worstBySegment.find(w => w.period === period) || null;
+    }
+
+    render(segments) {
+        const columns = RouteForecast.alignPeriods(segments);
+        const worst = RouteForecast.worstSegment(segments);
+
+        const head = columns.map(col => `<th>${this.esc(col.label)}</th>`).join('');
+        const rows = segments.map((seg, i) => {
+            const isWorst = worst && worst.segment === seg;
+            const hazard = MarineText.worstHeadline(seg.headlines);
+            const cells = seg.available
+                ? RouteForecast.renderCells(RouteForecast.periodsFor(seg, columns), (p, span) => this.renderCell(p, span))
+                : `<td colspan="${columns.length || 1}" class="route-missing">Forecast unavailable</td>`;
+            return `<tr class="${isWorst ? 'route-worst' : ''}">
+                <td class="obs-site">
+                    <span class="route-step">${i + 1}</span> ${this.esc(seg.name)}
+                    ${hazard ? `<div class="route-hazard hazard-${hazard.level}">${hazard.icon} ${this.esc(hazard.text)}</div>` : ''}
+                    ${isWorst ? '<div class="route-worst-flag">Roughest segment</div>' : ''}
+                </td>
+                ${cells}
+            </tr>`;
+        }).join('');
+
+        const summary = worst && MarineText.periodSeverity(worst.period) > 0
+            ? `<div class="route-summary">Roughest: <strong>${this.esc(worst.segment.name)}</strong>,
+                ${this.esc(worst.period.name)}: ${this.esc(MarineText.describeWind(worst.period.wind) || 'wind n/a')},
+                seas ${this.esc(MarineText.describeSeas(worst.period.waves) || 'n/a')}</div>`
+            : '';
+
+        const issued = [...new Map(segments.filter(s => s.issued).map(s => [s.loc, s])).values()]
+            .map(s => `${s.loc}: ${this.formatDate(s.issued)}${s.source === 'raw' ? ' (raw text)' : ''}`)
+            .join(' · ');
+
+        this.display.innerHTML = `
+            ${summary}
+            <div class="obs-table-wrap">
+                <table class="obs-table route-table">
+                    <thead><tr><th>Zone</th>${head}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${issued ? `<div class="obs-updated">NOAA issued ${this.esc(issued)}</div>` : ''}`;
+    }
+
+    /**
+     * One row's cells; a period covering consecutive columns spans them
+     * @param {Array} periods - From periodsFor()
+     * @param {Function} renderCell - (period, span) -> <td> HTML
+     * @returns {string} HTML string
+     */
+    static renderCells(periods, renderCell) {
+        let html = '';
+        for (let i = 0; i < periods.length; i++) {
+            let span = 1;
+            while (periods[i] && periods[i + span] === periods[i]) span++;
+            html += renderCell(periods[i], span);
+            i += span - 1;
+        }
+        return html;
+    }
+
+    /**
+     * Max sustained wind and seas for one period, shaded by severity and
+     * marked with the active vessel's go/no-go verdict
+     */
+    renderCell(period, span = 1) {
+        const colspan = span > 1 ? ` colspan="${span}"` : '';
+        if (!period) return '<td class="route-cell">—</td>';
+        const sev = MarineText.periodSeverity(period);
+        const verdict = window.BoatSafe.vessel?.evaluate(period);
+        const wind = period.wind
+            ? `${period.wind.direction} ${MarineText.maxWind(period)}${period.wind.gust ? 'G' + period.wind.gust : ''} kt` : '—';
+        const seas = period.waves ? `${MarineText.maxSeas(period)} ft` : '—';
+        const title = verdict && verdict.reasons.length
+            ? `${verdict.reasons.join('; ')}\n\n${period.text}` : period.text;
+        return `<td class="route-cell sev-${sev}${verdict ? ` gonogo-${verdict.status}` : ''}"${colspan} title="${this.esc(period.name)}: ${this.esc(title)}">
+            <div>${this.esc(wind)}</div><div>${seas}</div>
+        </td>`;
+    }
+
+    esc(s) {
+        return String(s).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    formatDate(date) {
+        if (!date) return 'Unknown';
+        try {
+            return new Date(date).toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+        } catch (error) {
+            return 'Unknown';
+        }
+    }
+
+    showLoading(message = 'Loading route forecast...') {
+        if (this.display) this.display.innerHTML = `<div class="loading">${this.esc(message)}</div>`;
+    }
+
+    showError(message) {
+        if (this.display) {
+            this.display.innerHTML =
+                `<div class="status-message status-error"><strong>Error:</strong> ${this.esc(message)}</div>`;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RouteForecast = RouteForecast;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteForecast;
+}
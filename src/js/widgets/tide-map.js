@@ -3,13 +3,22 @@
  * Self-contained by design: the coastline is a simplified Natural Earth asset
  * served from this origin, so the map costs no tile/CDN requests and keeps
  * working on weak cell connections once cached.
+ *
+ * Long-pressing anywhere on the map opens an hourly gridpoint forecast for
+ * that spot (see point-forecast.js) in a panel below the map, unless the
+ * owner passes its own onLongPress.
+ *
+ * Active marine alerts (WeatherWidget's poll, announced as a "boatsafe:alerts"
+ * event on document) are drawn as translucent severity-tinted areas; tapping
+ * one away from a station opens its details in a panel below the map.
  */
 class TideMap {
-    constructor({ container, stations, onSelect, onViewChange }) {
+    constructor({ container, stations, onSelect, onViewChange, onLongPress, alerts = true }) {
         this.container = container;
         this.stations = stations;               // { id: { name, lat, lon } }
         this.onSelect = onSelect || (() => {});
         this.onViewChange = onViewChange || (() => {});
+        this.onLongPress = onLongPress || ((lon, lat) => this.showPointForecast(lon, lat));
 
         this.svg = null;
         this.dotsGroup = null;
@@ -19,6 +28,14 @@ class TideMap {
 
         this.pointers = new Map();              // active pointers (pan/pinch)
         this.tapStart = null;                   // {x, y} client, to tell tap from drag
+        this.pressTimer = null;                 // long-press -> point forecast
+        this.pointMarker = null;                // long-pressed spot
+        this.pointForecast = null;
+        this.showAlerts = alerts;
+        this.alertsGroup = null;
+        this.alertShapes = [];                  // { feature, rings: [[x, y], ...][], box }
+        this.alertRequest = 0;
+        this.alertPanel = null;
         this.commitTimer = null;
         this.rafPending = false;
 
@@ -39,6 +56,12 @@ class TideMap {
         nw: [-172.0, 58.5, -140.0, 71.9]
     };
 
+    static LONG_PRESS_MS = 600;
+
+    // Alerts without their own polygon are drawn from their zones: marine
+    // zones from the bundled shapes, others fetched, at most this many each
+    static ALERT_ZONE_FETCHES = 12;
+
     static normLon(lon) { return lon > 0 ? lon - 360 : lon; }
 
     static mercY(lat) {
@@ -52,6 +75,13 @@ class TideMap {
         ];
     }
 
+    /** World coords back to [lon, lat] (lon in the map's -190..-129 range) */
+    unproject(x, y) {
+        const merc = y / this.scale + this.mercTop;
+        const lat = (Math.atan(Math.exp(-merc * Math.PI / 180)) - Math.PI / 4) * 360 / Math.PI;
+        return [x / this.scale + this.lonMin, lat];
+    }
+
     // Fetch the coastline once and share it across all TideMap instances (the
     // tide map and the current map), so the 90 KB asset isn't pulled twice. It
     // never changes, so a long cache TTL is appropriate.
@@ -84,6 +114,12 @@ class TideMap {
         this.attachEvents();
         this.applyView();
         this.commit();
+
+        if (this.showAlerts) {
+            document.addEventListener('boatsafe:alerts', (e) => this.setAlerts(e.detail.features));
+            const weather = window.BoatSafe.app?.widgets?.weather;
+            if (weather?.alerts.length) this.setAlerts(weather.alerts);
+        }
     }
 
     buildSvg(coast) {
@@ -166,6 +202,10 @@ class TideMap {
             c.setAttribute('r', id === this.selectedId ? rSel : r);
             c.setAttribute('stroke-width', sw);
         }
+        if (this.pointMarker) {
+            this.pointMarker.setAttribute('r', (6 * wpp).toFixed(2));
+            this.pointMarker.setAttribute('stroke-width', (2 * wpp).toFixed(2));
+        }
     }
 
     clampView() {
@@ -267,6 +307,12 @@ class TideMap {
         this.commit();
     }
 
+    /** What a tap at world coords selects; subclasses hit-test other shapes */
+    hitTest(wx, wy) {
+        // Hit target is generous (26 px), not just the painted dot
+        return this.nearestStation(wx, wy, 26 * this.worldPerPx());
+    }
+
     nearestStation(wx, wy, maxWorldDist) {
         let best = null, bestD = maxWorldDist * maxWorldDist;
         for (const [id, [x, y]] of this.pos) {
@@ -276,6 +322,203 @@ class TideMap {
         return best;
     }
 
+    /** Even-odd point-in-polygon over projected rings (holes included) */
+    static contains(rings, x, y) {
+        let inside = false;
+        for (const pts of rings) {
+            for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+                const [xi, yi] = pts[i], [xj, yj] = pts[j];
+                if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /** GeoJSON (Multi)Polygon rings as flat [lon, lat, ...] arrays, like the coastline */
+    static geoRings(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(TideMap.geoRings);
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+        return polygons.flat().map(ring => ring.flat());
+    }
+
+    /**
+     * An alert's outline rings, resolved once per alert and shared by every
+     * map: its own polygon when it has one, otherwise its zones' shapes
+     * @param {Object} feature - Alert feature
+     * @returns {Promise<Array>} Flat [lon, lat, ...] rings; empty when unresolved
+     */
+    static alertRings(feature) {
+        const cache = TideMap._alertRings || (TideMap._alertRings = new Map());
+        const id = AlertWatch.idOf(feature);
+        if (!cache.has(id)) {
+            cache.set(id, TideMap.resolveAlertRings(feature).catch(err => {
+                console.warn('Alert area unavailable:', err);
+                cache.delete(id);
+                return [];
+            }));
+        }
+        return cache.get(id);
+    }
+
+    static async resolveAlertRings(feature) {
+        if (feature.geometry) return TideMap.geoRings(feature.geometry);
+
+        const shapes = typeof ZoneMap !== 'undefined' ? await ZoneMap.loadShapes() : null;
+        const urls = new Map((feature.properties?.affectedZones || [])
+            .map(url => [String(url).split('/').pop().toUpperCase(), url]));
+        const rings = [];
+        let fetches = 0;
+        for (const zone of AlertWatch.zonesOf(feature)) {
+            if (shapes?.[zone]) {
+                rings.push(...shapes[zone].rings);
+                continue;
+            }
+            const url = urls.get(zone);
+            if (!url || fetches++ >= TideMap.ALERT_ZONE_FETCHES) continue;
+            try {
+                const res = await window.BoatSafe.http.get(url, { cacheTTL: 10080 }); // 7 days
+                rings.push(...TideMap.geoRings((typeof res === 'string' ? JSON.parse(res) : res).geometry));
+            } catch (err) {
+                console.warn(`No shape for zone ${zone}:`, err);
+            }
+        }
+        return rings;
+    }
+
+    /**
+     * Draw the areas of active marine alerts (see WeatherWidget.isMarine),
+     * most severe on top, between the land and the station dots
+     * @param {Array} features - Alert features from api.weather.gov
+     */
+    async setAlerts(features) {
+        if (!this.svg) return;
+        const request = ++this.alertRequest;
+        const rank = WeatherWidget.SEVERITY_RANK;
+        const marine = features.filter(f => WeatherWidget.isMarine(f))
+            .sort((a, b) => (rank[a.properties.severity] || 0) - (rank[b.properties.severity] || 0));
+        const resolved = await Promise.all(marine.map(async feature => ({
+            feature, lonLat: await TideMap.alertRings(feature)
+        })));
+        if (request !== this.alertRequest) return;
+
+        const NS = 'http://www.w3.org/2000/svg';
+        const group = document.createElementNS(NS, 'g');
+        group.setAttribute('class', 'map-alerts');
+        this.alertShapes = [];
+        for (const { feature, lonLat } of resolved) {
+            if (!lonLat.length) continue;
+            const rings = lonLat.map(ring => {
+                const pts = [];
+                for (let i = 0; i < ring.length; i += 2) pts.push(this.project(ring[i], ring[i + 1]));
+                return pts;
+            });
+            const all = rings.flat();
+            this.alertShapes.push({
+                feature, rings,
+                box: {
+                    x1: Math.min(...all.map(p => p[0])), y1: Math.min(...all.map(p => p[1])),
+                    x2: Math.max(...all.map(p => p[0])), y2: Math.max(...all.map(p => p[1]))
+                }
+            });
+
+            const p = feature.properties || {};
+            const path = document.createElementNS(NS, 'path');
+            path.setAttribute('d', rings.map(pts =>
+                `M${pts.map(([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`).join('L')}Z`).join(''));
+            path.setAttribute('fill-rule', 'evenodd');
+            path.setAttribute('vector-effect', 'non-scaling-stroke');
+            path.setAttribute('class', `map-alert severity-${(p.severity || 'Unknown').toLowerCase()}`);
+            const title = document.createElementNS(NS, 'title');
+            title.textContent = `${p.event || 'Alert'}${p.areaDesc ? ` - ${p.areaDesc}` : ''}`;
+            path.appendChild(title);
+            group.appendChild(path);
+        }
+
+        if (this.alertsGroup) this.alertsGroup.remove();
+        this.alertsGroup = group;
+        this.svg.insertBefore(group, this.dotsGroup);
+    }
+
+    /** Alerts whose area contains a world point, most severe first */
+    alertsAt(wx, wy) {
+        return this.alertShapes
+            .filter(({ rings, box: b }) => wx >= b.x1 && wx <= b.x2 && wy >= b.y1 && wy <= b.y2
+                && TideMap.contains(rings, wx, wy))
+            .map(s => s.feature)
+            .reverse();
+    }
+
+    /**
+     * Open the tapped alerts in a panel after the map, rendered the way the
+     * warnings widget shows them
+     * @param {Array} features - Alert features
+     */
+    showAlertDetails(features) {
+        const weather = window.BoatSafe.app?.widgets?.weather;
+        if (!weather) return;
+        if (!this.alertPanel) {
+            this.alertPanel = document.createElement('div');
+            this.alertPanel.className = 'map-alert-panel';
+            this.alertPanel.setAttribute('aria-live', 'polite');
+            this.alertPanel.addEventListener('click', (e) => {
+                if (e.target.closest('.map-alert-close')) this.alertPanel.hidden = true;
+            });
+            this.container.insertAdjacentElement('afterend', this.alertPanel);
+        }
+        const mine = weather.myZones();
+        const count = features.length === 1 ? '1 alert' : `${features.length} alerts`;
+        this.alertPanel.innerHTML = `
+            <div class="forecast-header">
+                <strong>${count} here</strong>
+                <button type="button" class="map-region-btn map-alert-close" aria-label="Close alert details">Close</button>
+            </div>
+            <div class="alert-list">
+                ${features.map(f => weather.renderAlert(f, mine).replace('<details', '<details open')).join('')}
+            </div>`;
+        this.alertPanel.hidden = false;
+    }
+
+    /**
+     * Mark a spot and show its hourly forecast in a panel after the map
+     * @param {number} lon - Longitude
+     * @param {number} lat - Latitude
+     */
+    showPointForecast(lon, lat) {
+        if (typeof PointForecast === 'undefined') return;
+        if (!this.pointForecast) {
+            const panel = document.createElement('div');
+            panel.className = 'point-forecast';
+            panel.setAttribute('aria-live', 'polite');
+            this.container.insertAdjacentElement('afterend', panel);
+            this.pointForecast = new PointForecast(panel);
+            this.pointForecast.onClose = () => this.setPoint(null);
+        }
+        this.setPoint([lon, lat]);
+        this.pointForecast.show(lat, lon);
+    }
+
+    /** Draw (or with null, remove) the long-pressed spot's marker */
+    setPoint(lonLat) {
+        if (this.pointMarker) this.pointMarker.remove();
+        this.pointMarker = null;
+        if (!lonLat) return;
+        const [x, y] = this.project(lonLat[0], lonLat[1]);
+        const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        c.setAttribute('cx', x.toFixed(1));
+        c.setAttribute('cy', y.toFixed(1));
+        c.setAttribute('class', 'map-point');
+        this.svg.appendChild(c);
+        this.pointMarker = c;
+        this.updateDotGeometry();
+    }
+
+    cancelPress() {
+        clearTimeout(this.pressTimer);
+        this.pressTimer = null;
+    }
+
     attachEvents() {
         const svg = this.svg;
 
@@ -284,8 +527,18 @@ class TideMap {
             this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
             if (this.pointers.size === 1) {
                 this.tapStart = { x: e.clientX, y: e.clientY };
+                // Held still long enough: a point forecast rather than a tap
+                this.cancelPress();
+                this.pressTimer = setTimeout(() => {
+                    this.pressTimer = null;
+                    if (!this.tapStart) return;
+                    const [lon, lat] = this.unproject(...this.clientToWorld(this.tapStart.x, this.tapStart.y));
+                    this.tapStart = null;
+                    this.onLongPress(lon, lat);
+                }, TideMap.LONG_PRESS_MS);
             } else {
                 this.tapStart = null; // pinch is never a tap
+                this.cancelPress();
             }
         });
 
@@ -298,6 +551,7 @@ class TideMap {
                 if (this.tapStart &&
                     Math.hypot(cur.x - this.tapStart.x, cur.y - this.tapStart.y) > 8) {
                     this.tapStart = null;
+                    this.cancelPress();
                 }
                 const [wx1, wy1] = this.clientToWorld(prev.x, prev.y);
                 const [wx2, wy2] = this.clientToWorld(cur.x, cur.y);
@@ -323,18 +577,26 @@ class TideMap {
         const endPointer = (e) => {
             if (this.pointers.size === 1 && this.tapStart) {
                 const [wx, wy] = this.clientToWorld(e.clientX, e.clientY);
-                // Hit target is generous (26 px), not just the painted dot
-                const id = this.nearestStation(wx, wy, 26 * this.worldPerPx());
-                if (id) this.onSelect(id);
+                const id = this.hitTest(wx, wy);
+                if (id) {
+                    this.onSelect(id);
+                } else {
+                    const alerts = this.alertsAt(wx, wy);
+                    if (alerts.length) this.showAlertDetails(alerts);
+                }
             }
             this.pointers.delete(e.pointerId);
             this.tapStart = null;
+            this.cancelPress();
         };
         svg.addEventListener('pointerup', endPointer);
         svg.addEventListener('pointercancel', (e) => {
             this.pointers.delete(e.pointerId);
             this.tapStart = null;
+            this.cancelPress();
         });
+        // A touch long-press also raises the context menu; the map owns it
+        svg.addEventListener('contextmenu', (e) => e.preventDefault());
 
         svg.addEventListener('wheel', (e) => {
             e.preventDefault();
@@ -685,6 +685,42 @@ class TidesCurrents {
         `;
     }
 
+    /* ---------------- Briefing ---------------- */
+
+    /**
+     * The day's tide and current events at the selected (or saved) stations,
+     * for text briefings. Uses the same cached CO-OPS requests as the widget.
+     * @param {Date} [date] - Day to report; defaults to today
+     * @returns {Promise<{tide: Object|null, current: Object|null}>} Each
+     *   { name, events } or null when no station is chosen or the fetch fails
+     */
+    async briefing(date = new Date()) {
+        const saved = (key) => {
+            try { return localStorage.getItem(key); } catch (error) { return null; }
+        };
+        const tideId = this.currentTideStationId || saved('boatsafe_tide_station');
+        const currentId = this.currentCurrentStationId || saved('boatsafe_current_station');
+        const day = this.formatDateForAPI(date);
+        const base = { time_zone: 'lst_ldt', units: 'english', format: 'json', begin_date: day, end_date: day };
+
+        const [tide, current] = await Promise.all([
+            tideId && this.tideStations?.[tideId]
+                ? this.fetchCoops({ ...base, station: tideId, product: 'predictions', datum: 'MLLW', interval: 'hilo' }, 720)
+                    .then(data => ({ name: this.tideStations[tideId].name, events: this.processTideData(data?.predictions) }))
+                    .catch(error => { console.warn('Briefing tides unavailable:', error); return null; })
+                : null,
+            currentId && this.currentStations?.[currentId]
+                ? this.fetchCoops({ ...base, station: currentId, product: 'currents_predictions', interval: 'MAX_SLACK' }, 720)
+                    .then(data => ({
+                        name: this.currentStations[currentId].name,
+                        events: this.processCurrentData(data?.current_predictions?.cp || data?.currents_predictions?.cp || [])
+                    }))
+                    .catch(error => { console.warn('Briefing currents unavailable:', error); return null; })
+                : null
+        ]);
+        return { tide, current };
+    }
+
     /* ---------------- Date navigation ---------------- */
 
     renderDateScrollers() {
@@ -1,7 +1,12 @@
 /**
  * Weather Warnings & Advisories Widget
  * Active NWS alerts for Alaska (api.weather.gov, CORS-enabled). Filterable by
- * region; each alert is a collapsed summary the user taps to expand.
+ * region, by the user's own zones and to marine products only; each alert is
+ * a collapsed summary the user taps to expand.
+ *
+ * Alerts are matched to zones through their UGC codes (geocode.UGC plus the
+ * affectedZones URLs), so a Gale Warning lands on the PKZ waters it names.
+ * The user's zones can be watched for notifications (see AlertWatch).
  */
 class WeatherWidget {
     static REGIONS = {
@@ -11,6 +16,12 @@ class WeatherWidget {
         northern: 'Northern Alaska'
     };
     static SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+    // Forecast office -> region button, for zones found in zones.json / coastal-stations.json
+    static OFFICE_REGIONS = { AJK: 'southeast', AFC: 'southcentral', AFG: 'northern' };
+    // NWS marine zone UGCs (PKZ in Alaska; the coastal and Great Lakes prefixes elsewhere)
+    static MARINE_UGC = /^(?:AM|AN|GM|L[CEHMOS]|P[HKMSZ]|SL)Z\d{3}$/;
+    // Products that matter on the water even when coded for land zones only
+    static MARINE_EVENTS = /\b(?:marine|small craft|gale|hurricane force wind|freezing spray|tsunami|coastal flood|high surf)\b|^storm (?:warning|watch)$/i;
 
     constructor() {
         this.container = document.getElementById('weather');
@@ -19,8 +30,11 @@ class WeatherWidget {
         this.toggleButton = document.getElementById('weather-toggle');
         this.regionBtns = this.container.querySelector('.weather-region-btns');
         this.isExpanded = true;
+        this.filterBtns = this.container.querySelector('.weather-filter-btns');
         this.region = 'all';
+        this.filters = { mine: false, marine: false };
         this.alerts = [];
+        this.zoneOffices = null;    // zone id -> issuing office, from the bundled zone lists
 
         this.init();
     }
@@ -28,9 +42,15 @@ class WeatherWidget {
     init() {
         this.setupToggleButton();
         this.setupRegionSelector();
+        this.setupFilters();
         this.showLoading();
         this.loadWarnings();
-        setInterval(() => { if (!document.hidden) this.loadWarnings(); }, 15 * 60 * 1000);
+        this.setupWatch();
+        // Keep polling in a background tab while zones are watched, so their
+        // alerts can notify
+        setInterval(() => {
+            if (!document.hidden || this.watch?.zones.length) this.loadWarnings();
+        }, AlertWatch.POLL_MINUTES * 60 * 1000);
     }
 
     setupToggleButton() {
@@ -57,8 +77,83 @@ class WeatherWidget {
         });
     }
 
-    /** Map an alert to a region via the issuing office in senderName. */
-    static regionOf(feature) {
+    setupFilters() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('boatsafe_alert_filters') || 'null');
+            if (saved) this.filters = { mine: !!saved.mine, marine: !!saved.marine };
+        } catch (error) {
+            console.warn('Failed to load alert filters:', error);
+        }
+        if (!this.filterBtns) return;
+        const sync = () => this.filterBtns.querySelectorAll('[data-filter]').forEach(b => {
+            b.classList.toggle('active', this.filters[b.dataset.filter]);
+            b.setAttribute('aria-pressed', String(this.filters[b.dataset.filter]));
+        });
+        sync();
+        this.filterBtns.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-filter]');
+            if (!btn) return;
+            this.filters[btn.dataset.filter] = !this.filters[btn.dataset.filter];
+            sync();
+            try {
+                localStorage.setItem('boatsafe_alert_filters', JSON.stringify(this.filters));
+            } catch (error) {
+                console.warn('Failed to save alert filters:', error);
+            }
+            this.render();
+        });
+    }
+
+    /**
+     * Watch buttons for the user's zones. Watching asks for notification
+     * permission first, since it comes from the click.
+     */
+    setupWatch() {
+        this.watch = window.BoatSafe.alertWatch;
+        if (!this.watch || !this.display) return;
+        this.watch.load().then(() => {
+            this.watch.registerSync();
+            if (this.alerts.length) this.render();
+        });
+        this.watch.subscribe(() => this.render());
+        this.display.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-watch], [data-unwatch]');
+            if (!btn) return;
+            if (btn.dataset.unwatch) {
+                this.watch.unwatch(btn.dataset.unwatch);
+                return;
+            }
+            const permission = await AlertWatch.requestPermission();
+            if (permission === 'granted') this.watch.watch(btn.dataset.watch, this.alerts);
+            else this.render();
+        });
+    }
+
+    /** UGC zone codes an alert covers (see AlertWatch.zonesOf) */
+    static zonesOf(feature) {
+        return AlertWatch.zonesOf(feature);
+    }
+
+    /** Marine product: it names a marine zone, or is a water hazard by event type */
+    static isMarine(feature) {
+        const zones = [...WeatherWidget.zonesOf(feature)];
+        return zones.some(z => WeatherWidget.MARINE_UGC.test(z))
+            || WeatherWidget.MARINE_EVENTS.test(feature.properties?.event || '');
+    }
+
+    /**
+     * Map an alert to a region by the office owning the zones it covers,
+     * falling back to the issuing office in senderName.
+     * @param {Object} feature - Alert feature
+     * @param {Map} [zoneOffices] - Zone id -> office (AJK, AFC, AFG)
+     */
+    static regionOf(feature, zoneOffices) {
+        if (zoneOffices?.size) {
+            for (const zone of WeatherWidget.zonesOf(feature)) {
+                const region = WeatherWidget.OFFICE_REGIONS[zoneOffices.get(zone)];
+                if (region) return region;
+            }
+        }
         const s = (feature.properties?.senderName || '').toLowerCase();
         if (s.includes('juneau')) return 'southeast';
         if (s.includes('anchorage')) return 'southcentral';
@@ -66,14 +161,83 @@ class WeatherWidget {
         return 'other';
     }
 
+    /**
+     * Active alerts covering a marine or forecast zone, by the zone's UGC code
+     * in the alert's geocode (e.g. PKZ032)
+     * @param {string} zoneId - Zone ID
+     * @returns {Array} Alert features, most severe first
+     */
+    alertsFor(zoneId) {
+        const rank = WeatherWidget.SEVERITY_RANK;
+        return this.alerts
+            .filter(f => WeatherWidget.zonesOf(f).has(zoneId))
+            .sort((a, b) => (rank[b.properties.severity] || 0) - (rank[a.properties.severity] || 0));
+    }
+
+    /**
+     * The user's zones: the marine (PKZ) zone picked in the marine forecast and
+     * the coastal (AKZ) zone picked in the coastal forecast, live or as saved
+     * @returns {Array<string>} Zone ids
+     */
+    myZones() {
+        const widgets = window.BoatSafe.app?.widgets || {};
+        let marine = widgets.forecastSummary?.selectedZone;
+        let coastal = widgets.coastalForecast?.selectedLocation;
+        try {
+            marine = marine || localStorage.getItem('boatsafe_selected_zone');
+            coastal = coastal || localStorage.getItem('boatsafe_coastal_location');
+        } catch (error) {
+            console.warn('Failed to read saved zones:', error);
+        }
+        return [marine, coastal].filter(Boolean).map(z => z.toUpperCase());
+    }
+
+    /** Re-filter after the user picks a different marine or coastal zone */
+    zonesChanged() {
+        if (this.filters.mine && this.alerts.length) this.render();
+    }
+
+    /**
+     * Zone id -> issuing office from zones.json (marine) and
+     * coastal-stations.json (land), loaded once; empty when neither loads
+     */
+    async loadZoneOffices() {
+        if (this.zoneOffices) return this.zoneOffices;
+        const offices = new Map();
+        const parse = r => (typeof r === 'string' ? JSON.parse(r) : r);
+        const sources = [
+            window.BoatSafe.app?.widgets?.forecastSummary?.zones
+                || window.BoatSafe.http.get('./data/zones.json', { cacheTTL: 1440 }).then(parse),
+            window.BoatSafe.http.get('./data/coastal-stations.json', { cacheTTL: 1440 }).then(parse)
+        ];
+        const results = await Promise.allSettled(sources);
+        results.forEach(({ status, value }) => {
+            if (status !== 'fulfilled') return;
+            Object.values(value?.regions || {}).forEach(region => {
+                if (!region.office) return;
+                Object.keys(region.zones || {}).forEach(zone => offices.set(zone.toUpperCase(), region.office));
+            });
+        });
+        if (results.some(r => r.status === 'rejected')) console.warn('Zone lists unavailable; alert regions fall back to the sender');
+        else this.zoneOffices = offices;
+        return offices;
+    }
+
     async loadWarnings() {
         try {
+            const zoneOffices = this.loadZoneOffices(); // alongside the alerts request
             const res = await window.BoatSafe.http.get(
                 'https://api.weather.gov/alerts/active?area=AK', { cacheTTL: 10 });
             // api.weather.gov sends application/geo+json, returned as a string
             const data = typeof res === 'string' ? JSON.parse(res) : res;
             this.alerts = Array.isArray(data.features) ? data.features : [];
+            await zoneOffices;
             this.render();
+            // The tide and current maps draw the alert areas
+            document.dispatchEvent(new CustomEvent('boatsafe:alerts', { detail: { features: this.alerts } }));
+            if (this.watch) {
+                this.watch.check(this.alerts).catch(error => console.warn('Alert notification check failed:', error));
+            }
         } catch (error) {
             console.error('Failed to load weather alerts:', error);
             this.showError(`Failed to load weather alerts: ${error.message}`);
@@ -83,25 +247,43 @@ class WeatherWidget {
     render() {
         if (!this.display) return;
         const label = WeatherWidget.REGIONS[this.region] || 'Alaska';
-        const inRegion = this.region === 'all'
+        const mine = this.myZones();
+        let inRegion = this.region === 'all'
             ? this.alerts
-            : this.alerts.filter(f => WeatherWidget.regionOf(f) === this.region);
+            : this.alerts.filter(f => WeatherWidget.regionOf(f, this.zoneOffices) === this.region);
+        if (this.filters.marine) inRegion = inRegion.filter(f => WeatherWidget.isMarine(f));
+        if (this.filters.mine) {
+            inRegion = inRegion.filter(f => {
+                const zones = WeatherWidget.zonesOf(f);
+                return mine.some(z => zones.has(z));
+            });
+        }
+        const scope = [
+            this.filters.marine ? 'marine' : '',
+            this.filters.mine ? `for ${mine.join(' / ') || 'your zones'}` : ''
+        ].filter(Boolean).join(' ');
 
         const header = `
             <div class="warnings-header">
                 <div class="office-info">
                     <strong>${this.esc(label)} Warnings &amp; Advisories</strong>
                     <div class="warning-meta">
-                        <span class="last-updated">${inRegion.length} active · checked ${this.formatDate(new Date())}</span>
+                        <span class="last-updated">${inRegion.length} active${scope ? ` ${this.esc(scope)}` : ''} · checked ${this.formatDate(new Date())}</span>
                         <a href="https://www.weather.gov/safety" target="_blank" rel="noopener" class="noaa-link">NOAA alerts →</a>
                     </div>
                 </div>
-            </div>`;
+            </div>${this.renderWatch(mine)}`;
+
+        if (this.filters.mine && !mine.length) {
+            this.display.innerHTML = header +
+                '<div class="status-clear">Pick a marine zone or coastal location to see the alerts for your zones.</div>';
+            return;
+        }
 
         // No advisory for this area -> neutral message, no orange/red.
         if (inRegion.length === 0) {
             this.display.innerHTML = header +
-                `<div class="status-clear">No active warnings or advisories for ${this.esc(label)}.</div>`;
+                `<div class="status-clear">No active ${this.filters.marine ? 'marine ' : ''}warnings or advisories for ${this.esc(this.filters.mine ? mine.join(' / ') : label)}.</div>`;
             return;
         }
 
@@ -113,12 +295,40 @@ class WeatherWidget {
         });
 
         this.display.innerHTML = header +
-            '<div class="alert-list">' + sorted.map(f => this.renderAlert(f)).join('') + '</div>';
+            '<div class="alert-list">' + sorted.map(f => this.renderAlert(f, mine)).join('') + '</div>';
+    }
+
+    /**
+     * Watched zones (tap to stop) and a button to watch each of the user's
+     * zones not yet watched; nothing where notifications don't exist
+     * @param {Array<string>} mine - The user's zones
+     */
+    renderWatch(mine) {
+        if (!this.watch?.state || AlertWatch.permission === 'unsupported') return '';
+        const watched = this.watch.zones;
+        const unwatched = mine.filter(z => !watched.includes(z));
+        if (!watched.length && !unwatched.length) return '';
+        const esc = WeatherWidget.escapeHtml;
+        const blocked = AlertWatch.permission === 'denied'
+            ? '<span class="alert-watch-note">Notifications are blocked in this site\'s browser settings.</span>' : '';
+        return `
+            <div class="alert-watch">
+                ${watched.map(z => `<button class="alert-watch-chip active" data-unwatch="${esc(z)}" title="Stop notifications for ${esc(z)}">Watching ${esc(z)} ×</button>`).join('')}
+                ${unwatched.map(z => `<button class="alert-watch-chip" data-watch="${esc(z)}">Notify me for ${esc(z)}</button>`).join('')}
+                ${blocked}
+            </div>`;
     }
 
-    /** A collapsed alert: severity + event + area in the summary; full text on expand. */
-    renderAlert(feature) {
+    /**
+     * A collapsed alert: severity + event + area in the summary, flagged when
+     * it covers one of the user's zones; zone codes and full text on expand.
+     */
+    renderAlert(feature, mine = []) {
         const p = feature.properties || {};
+        const zones = [...WeatherWidget.zonesOf(feature)].sort();
+        const yours = mine.filter(z => zones.includes(z));
+        const marineZones = zones.filter(z => WeatherWidget.MARINE_UGC.test(z));
+        const otherZones = zones.filter(z => !WeatherWidget.MARINE_UGC.test(z));
         const esc = WeatherWidget.escapeHtml;
         const sev = p.severity || 'Unknown';
         const sevClass = 'severity-' + sev.toLowerCase();
@@ -131,15 +341,18 @@ class WeatherWidget {
             ? `${this.formatDate(new Date(p.effective))} – ${this.formatDate(new Date(p.expires))}` : '';
 
         return `
-            <details class="alert-item ${sevClass}">
+            <details class="alert-item ${sevClass}${yours.length ? ' alert-yours' : ''}">
                 <summary class="alert-summary">
                     <span class="alert-caret">▸</span>
                     <span class="alert-sev">${esc(sev)}</span>
                     <span class="alert-event">${esc(p.event || 'Weather Alert')}</span>
+                    ${yours.length ? `<span class="alert-yours-tag">Your zone: ${esc(yours.join(', '))}</span>` : ''}
                     ${p.areaDesc ? `<span class="alert-area">${esc(p.areaDesc)}</span>` : ''}
                 </summary>
                 <div class="alert-detail">
                     ${when ? `<div class="alert-when"><strong>In effect:</strong> ${when}</div>` : ''}
+                    ${marineZones.length ? `<div class="alert-zones"><strong>Marine zones:</strong> ${esc(marineZones.join(', '))}</div>` : ''}
+                    ${otherZones.length ? `<div class="alert-zones"><strong>Land zones:</strong> ${esc(otherZones.join(', '))}</div>` : ''}
                     <div class="alert-text">${body || 'No further detail provided.'}</div>
                 </div>
             </details>`;
@@ -0,0 +1,132 @@
+/**
+ * ZoneMap - SVG marine zone picker. A TideMap (same coastline, Mercator
+ * projection and pan/pinch handling) that draws the PKZ zone polygons
+ * instead of station dots; tapping inside a zone selects it. Polygons come
+ * from data/ak-marine-zones.json, built by scripts/make-ak-marine-zones.js.
+ */
+class ZoneMap extends TideMap {
+    constructor({ container, shapes, onSelect }) {
+        // Zones are tinted by their headlines already, and a tap picks a zone
+        super({ container, stations: {}, onSelect, alerts: false });
+        this.shapes = shapes;                   // { id: { name, rings: [[lon, lat, ...]] } }
+        this.zonePaths = new Map();             // id -> path element
+        this.zoneRings = new Map();             // id -> projected rings [[x, y], ...]
+        this.zoneBoxes = new Map();             // id -> world bbox {x1, y1, x2, y2}
+        this.selectedZone = null;
+    }
+
+    // Like the coastline: fetched once, cached for a week, null when missing
+    static loadShapes() {
+        if (!ZoneMap._shapesPromise) {
+            ZoneMap._shapesPromise = window.BoatSafe.http
+                .get('./data/ak-marine-zones.json', { cacheTTL: 10080 }) // 7 days
+                .then(z => (typeof z === 'string' ? JSON.parse(z) : z))
+                .then(z => z?.zones || null)
+                .catch(err => {
+                    console.warn('Marine zone shapes unavailable:', err);
+                    ZoneMap._shapesPromise = null;
+                    return null;
+                });
+        }
+        return ZoneMap._shapesPromise;
+    }
+
+    buildSvg(coast) {
+        super.buildSvg(coast);
+        const NS = 'http://www.w3.org/2000/svg';
+        this.svg.setAttribute('aria-label',
+            'Map of Alaska marine zones. Tap a zone to show its forecast, or use the zone list.');
+
+        // Zones go under the land so the coast stays crisp over the water
+        const group = document.createElementNS(NS, 'g');
+        group.setAttribute('class', 'map-zones');
+        for (const [id, zone] of Object.entries(this.shapes)) {
+            const rings = zone.rings.map(ring => {
+                const pts = [];
+                for (let i = 0; i < ring.length; i += 2) pts.push(this.project(ring[i], ring[i + 1]));
+                return pts;
+            });
+            const all = rings.flat();
+            this.zoneRings.set(id, rings);
+            this.zoneBoxes.set(id, {
+                x1: Math.min(...all.map(p => p[0])), y1: Math.min(...all.map(p => p[1])),
+                x2: Math.max(...all.map(p => p[0])), y2: Math.max(...all.map(p => p[1]))
+            });
+
+            const path = document.createElementNS(NS, 'path');
+            path.setAttribute('d', rings.map(pts =>
+                `M${pts.map(([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`).join('L')}Z`).join(''));
+            path.setAttribute('fill-rule', 'evenodd');
+            path.setAttribute('vector-effect', 'non-scaling-stroke');
+            path.setAttribute('class', 'map-zone');
+            const title = document.createElementNS(NS, 'title');
+            title.textContent = `${id} - ${zone.name}`;
+            path.appendChild(title);
+            this.zonePaths.set(id, path);
+            group.appendChild(path);
+        }
+        const land = this.svg.querySelector('.map-land');
+        this.svg.insertBefore(group, land || this.dotsGroup);
+    }
+
+    /**
+     * The zone containing a world point. Where zones nest or overlap (an
+     * inside passage within an outer coastal zone), the smallest one wins.
+     */
+    hitTest(wx, wy) {
+        let best = null, bestArea = Infinity;
+        for (const [id, rings] of this.zoneRings) {
+            const b = this.zoneBoxes.get(id);
+            if (wx < b.x1 || wx > b.x2 || wy < b.y1 || wy > b.y2) continue;
+            if (!TideMap.contains(rings, wx, wy)) continue;
+            const area = (b.x2 - b.x1) * (b.y2 - b.y1);
+            if (area < bestArea) { bestArea = area; best = id; }
+        }
+        return best;
+    }
+
+    setSelectedZone(id) {
+        const prev = this.zonePaths.get(this.selectedZone);
+        if (prev) prev.classList.remove('selected');
+        this.selectedZone = id;
+        const path = this.zonePaths.get(id);
+        if (path) {
+            path.classList.add('selected');
+            // Raise so the outline isn't hidden under neighbouring zones
+            path.parentNode.appendChild(path);
+        }
+    }
+
+    /**
+     * Tint zones by their most severe headline, like the dropdown badges
+     * @param {Object} headlines - zoneId -> headlines
+     */
+    setHazards(headlines) {
+        for (const [id, path] of this.zonePaths) {
+            const hazard = MarineText.worstHeadline(headlines[id]);
+            for (const h of MarineText.HAZARDS) path.classList.remove(`hazard-${h.level}`);
+            if (hazard) path.classList.add(`hazard-${hazard.level}`);
+        }
+    }
+
+    /** Zoom to fit a set of zones (e.g. the selected region) */
+    fitZones(ids) {
+        const boxes = ids.map(id => this.zoneBoxes.get(id)).filter(Boolean);
+        if (!boxes.length) return;
+        const x1 = Math.min(...boxes.map(b => b.x1)), y1 = Math.min(...boxes.map(b => b.y1));
+        const x2 = Math.max(...boxes.map(b => b.x2)), y2 = Math.max(...boxes.map(b => b.y2));
+        const pad = 0.08;
+        const boxW = (x2 - x1) * (1 + 2 * pad), boxH = (y2 - y1) * (1 + 2 * pad);
+        const aspect = this.world.h / this.world.w;
+        let w = boxW, h = boxW * aspect;
+        if (h < boxH) { h = boxH; w = h / aspect; }
+        this.view = { x: (x1 + x2) / 2 - w / 2, y: (y1 + y2) / 2 - h / 2, w, h };
+        this.clampView();
+        this.applyView();
+        this.commit();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ZoneMap = ZoneMap;
+}
@@ -4,6 +4,8 @@
  * - App shell + local data: cache-first (instant load, refreshed in background).
  * - NOAA data: network-first, falling back to the last cached response, so a
  *   boater who loses signal still sees the most recent forecast/tides pulled.
+ * - Watched-zone alerts: where Periodic Background Sync is available, polls
+ *   active alerts and notifies through AlertWatch (js/utils/alert-watch.js).
  *
  * Bump CACHE_VERSION to force a refresh of cached assets on next visit.
  */
@@ -16,9 +18,20 @@ const SHELL = ['./', './index.html', './manifest.json', './oceanbightlogo.png'];
 const NET_FIRST_HOSTS = [
     'api.weather.gov',
     'api.tidesandcurrents.noaa.gov',
-    'www.weather.gov'
+    'www.weather.gov',
+    'tgftp.nws.noaa.gov'
 ];
 
+const ALERTS_URL = 'https://api.weather.gov/alerts/active?area=AK';
+
+// Shared with the page; without it the worker still caches, just never notifies
+try {
+    importScripts('./js/utils/alert-watch.js');
+} catch (err) {
+    console.warn('Alert notifications unavailable:', err);
+}
+const KEEP_CACHES = [CACHE_VERSION, self.AlertWatch?.STORE].filter(Boolean);
+
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_VERSION)
@@ -31,7 +44,7 @@ self.addEventListener('install', (event) => {
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys()
-            .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+            .then(keys => Promise.all(keys.filter(k => !KEEP_CACHES.includes(k)).map(k => caches.delete(k))))
             .then(() => self.clients.claim())
     );
 });
@@ -49,6 +62,31 @@ self.addEventListener('fetch', (event) => {
     // other cross-origin GETs (e.g. fonts) fall through to the network
 });
 
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== self.AlertWatch?.SYNC_TAG) return;
+    event.waitUntil(checkAlerts());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || './', self.registration.scope).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(w => w.url.startsWith(self.registration.scope));
+            return open ? open.focus() : self.clients.openWindow(url);
+        })
+    );
+});
+
+// Background poll for watched zones; the page does the same on its own timer
+async function checkAlerts() {
+    const res = await fetch(ALERTS_URL, { headers: { Accept: 'application/geo+json' } });
+    if (!res.ok) return;
+    (await caches.open(CACHE_VERSION)).put(ALERTS_URL, res.clone());
+    const data = await res.json();
+    await new self.AlertWatch().check(Array.isArray(data.features) ? data.features : []);
+}
+
 async function networkFirst(req) {
     const cache = await caches.open(CACHE_VERSION);
     try {